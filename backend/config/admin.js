@@ -0,0 +1,9 @@
+/**
+ * Access to the admin routes (/api/admin)
+ * All values can be overridden via environment variables
+ */
+
+module.exports = {
+  // Token admin requests send as "Authorization: Bearer <token>"; admin routes are disabled without it
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || null
+};
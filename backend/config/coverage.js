@@ -0,0 +1,13 @@
+/**
+ * Coverage report of generated items against the input items
+ * All values can be overridden via environment variables
+ */
+
+module.exports = {
+  // Minimum word overlap (0-1) between a generated item and its input item to count as derived from it
+  COVERAGE_MATCH_THRESHOLD: parseFloat(process.env.COVERAGE_MATCH_THRESHOLD) || 0.3,
+
+  // Language descriptions are written in. Output in another language is matched to its input
+  // by provenance (the item it was processed from) instead of by shared words
+  COVERAGE_INPUT_LANGUAGE: process.env.COVERAGE_INPUT_LANGUAGE || process.env.DEFAULT_LANGUAGE || 'pt-BR'
+};
@@ -0,0 +1,15 @@
+/**
+ * Git history input for release notes
+ * All values can be overridden via environment variables
+ */
+
+module.exports = {
+  // Local repositories must live under this directory; git: { repoPath } is rejected while it is unset
+  GIT_REPOS_ROOT: process.env.GIT_REPOS_ROOT || null,
+
+  // Maximum number of commits read from a repository
+  GIT_LOG_MAX_COUNT: parseInt(process.env.GIT_LOG_MAX_COUNT) || 500,
+
+  // Timeout of the git log command (30 seconds)
+  GIT_LOG_TIMEOUT: parseInt(process.env.GIT_LOG_TIMEOUT) || 30000
+};
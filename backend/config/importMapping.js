@@ -0,0 +1,68 @@
+/**
+ * Mapping from issue-tracker issue types and labels to section types (id, marker or alias)
+ * Replace the table with IMPORT_MAPPING_FILE (a JSON file with the same shape);
+ * JIRA_BASE_URL is used to build issue URLs, which Jira CSV exports don't include
+ */
+const fs = require('fs-extra');
+
+const DEFAULT_MAPPING = {
+  // Labels win over the issue type (a Bug labelled "security" is a security item)
+  labels: {
+    security: 'security',
+    'segurança': 'security',
+    vulnerability: 'security',
+    performance: 'performance',
+    'desempenho': 'performance',
+    documentation: 'resource',
+    docs: 'resource',
+    'documentação': 'resource',
+    'known issue': 'known_issue',
+    'known-issue': 'known_issue',
+    deprecation: 'deprecated',
+    deprecated: 'deprecated',
+    bug: 'bugfix',
+    enhancement: 'feature',
+    feature: 'feature'
+  },
+
+  // Jira issue types and GitHub issue types
+  issueTypes: {
+    bug: 'bugfix',
+    defect: 'bugfix',
+    story: 'feature',
+    'new feature': 'feature',
+    feature: 'feature',
+    improvement: 'feature',
+    epic: 'feature',
+    task: 'feature',
+    'security vulnerability': 'security',
+    documentation: 'resource'
+  },
+
+  // Issues with any of these labels are left out
+  skipLabels: ['duplicate', 'invalid', 'wontfix', "won't fix", 'internal', 'chore'],
+
+  // Section for issues no rule matches (null leaves them out of the description)
+  defaultSection: null
+};
+
+/**
+ * Load the mapping table, from IMPORT_MAPPING_FILE when set
+ * @returns {Object} Mapping table
+ */
+function loadMapping() {
+  if (!process.env.IMPORT_MAPPING_FILE) {
+    return DEFAULT_MAPPING;
+  }
+  try {
+    return { ...DEFAULT_MAPPING, ...fs.readJsonSync(process.env.IMPORT_MAPPING_FILE) };
+  } catch (error) {
+    console.error('Invalid IMPORT_MAPPING_FILE, using the default mapping:', error.message);
+    return DEFAULT_MAPPING;
+  }
+}
+
+module.exports = {
+  IMPORT_MAPPING: loadMapping(),
+  JIRA_BASE_URL: process.env.JIRA_BASE_URL || null
+};
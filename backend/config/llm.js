@@ -0,0 +1,50 @@
+/**
+ * LLM configuration for the PhosDocs application
+ * All values can be overridden via environment variables
+ */
+const path = require('path');
+
+module.exports = {
+  // live: call the model, mock: deterministic output from the input,
+  // replay: answer from recorded fixtures (mock output for calls never recorded), record: call the model and save fixtures
+  LLM_MODE: process.env.LLM_MODE || 'live',
+
+  // Directory holding recorded fixtures for replay mode
+  LLM_FIXTURES_DIR: process.env.LLM_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'llm'),
+
+  // Default provider: openrouter, local (any OpenAI-compatible server) or fake.
+  // Override per section type with SECTION_<TYPE>_PROVIDER / SECTION_<TYPE>_MODEL
+  // (e.g. SECTION_SEGURANCA_PROVIDER=local) and for captions with IMAGE_CAPTION_PROVIDER / IMAGE_CAPTION_MODEL
+  LLM_PROVIDER: process.env.LLM_PROVIDER || 'openrouter',
+
+  // Ordered fallback routes tried when the route's own model keeps failing: comma-separated
+  // "provider" or "provider:model" entries (e.g. openrouter:anthropic/claude-3-haiku,local:llama3).
+  // Override per route with <PREFIX>_FALLBACKS (e.g. SECTION_BUG_FALLBACKS)
+  LLM_FALLBACKS: process.env.LLM_FALLBACKS || '',
+
+  // Circuit breaker: after this many consecutive failures a route (provider/model) is skipped for the cool-down window
+  LLM_CIRCUIT_FAILURE_THRESHOLD: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 3,
+  LLM_CIRCUIT_COOLDOWN_MS: parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS) || 60000,
+
+  // Retry delays grow exponentially from the route's retry delay, with jitter, up to this cap (30 seconds)
+  LLM_BACKOFF_MAX_DELAY: parseInt(process.env.LLM_BACKOFF_MAX_DELAY) || 30000,
+
+  // OpenRouter
+  OPENROUTER_BASE_URL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+  OPENROUTER_MODEL: process.env.OPENROUTER_MODEL || 'openai/gpt-3.5-turbo',
+
+  // Self-hosted OpenAI-compatible server (Ollama, llama.cpp server, vLLM...)
+  LOCAL_LLM_BASE_URL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+  LOCAL_LLM_API_KEY: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+  LOCAL_LLM_MODEL: process.env.LOCAL_LLM_MODEL || 'llama3',
+
+  // Fake provider: fixed response (defaults to echoing the user prompt)
+  FAKE_LLM_RESPONSE: process.env.FAKE_LLM_RESPONSE,
+
+  // Image captions: whether the caption model accepts images is detected from its name;
+  // force it with IMAGE_CAPTION_VISION=true/false. Images are downscaled to fit this size
+  IMAGE_CAPTION_MAX_DIMENSION: parseInt(process.env.IMAGE_CAPTION_MAX_DIMENSION) || 1024,
+
+  // Number of description items around an image sent as caption context
+  IMAGE_CAPTION_CONTEXT_ITEMS: parseInt(process.env.IMAGE_CAPTION_CONTEXT_ITEMS) || 3
+};
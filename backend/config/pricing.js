@@ -0,0 +1,36 @@
+/**
+ * Model price table used to estimate generation cost
+ * Prices are in USD per 1 million tokens. Override or extend the table with
+ * LLM_PRICES (JSON), e.g. LLM_PRICES='{"openai/gpt-4o-mini":{"prompt":0.15,"completion":0.6}}'
+ */
+
+const DEFAULT_PRICES = {
+  'openai/gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'openai/gpt-4o': { prompt: 2.5, completion: 10 },
+  'anthropic/claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  'fake-model': { prompt: 0, completion: 0 }
+};
+
+/**
+ * Parse the LLM_PRICES override
+ * @returns {Object} Prices by model
+ */
+function parsePriceOverrides() {
+  if (!process.env.LLM_PRICES) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.LLM_PRICES);
+  } catch (error) {
+    console.error('Invalid LLM_PRICES, using default prices:', error.message);
+    return {};
+  }
+}
+
+module.exports = {
+  LLM_PRICES: { ...DEFAULT_PRICES, ...parsePriceOverrides() },
+
+  // Models served by the local provider cost nothing per token
+  LOCAL_MODELS_ARE_FREE: process.env.LOCAL_MODELS_ARE_FREE !== 'false'
+};
@@ -0,0 +1,19 @@
+/**
+ * Prompt-response cache for section processing
+ * All values can be overridden via environment variables
+ */
+const path = require('path');
+
+module.exports = {
+  // Disable to always call the model
+  PROMPT_CACHE_ENABLED: process.env.PROMPT_CACHE_ENABLED !== 'false',
+
+  // Directory holding one file per cached completion
+  PROMPT_CACHE_DIR: process.env.PROMPT_CACHE_DIR || path.join(__dirname, '..', 'data', 'prompt-cache'),
+
+  // Cached completions expire after this age (7 days)
+  PROMPT_CACHE_TTL_MS: (parseInt(process.env.PROMPT_CACHE_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000,
+
+  // Oldest entries are evicted while the cache exceeds this size (50MB)
+  PROMPT_CACHE_MAX_SIZE: (parseInt(process.env.PROMPT_CACHE_MAX_SIZE_MB) || 50) * 1024 * 1024
+};
@@ -0,0 +1,53 @@
+/**
+ * Prompt template configuration
+ * All values can be overridden via environment variables
+ */
+const path = require('path');
+
+/**
+ * Collect the prompts still set the old way in .env (SECTION_<KEY>_SYSTEM /
+ * SECTION_<KEY>_USER, IMAGE_CAPTION_PROMPT), keyed by the template they replace
+ * @returns {Object} Messages ({ system, user }) by template name
+ */
+function loadEnvPromptOverrides() {
+  const overrides = {};
+
+  for (const [name, value] of Object.entries(process.env)) {
+    const match = name.match(/^SECTION_([A-Z0-9_]+)_SYSTEM$/);
+    const user = match && process.env[`SECTION_${match[1]}_USER`];
+    if (value && user) {
+      overrides[`section-${match[1].toLowerCase()}`] = { system: value, user };
+    }
+  }
+
+  // The caption prompt was a single variable used as both messages
+  if (process.env.IMAGE_CAPTION_PROMPT) {
+    overrides['image-caption'] = {
+      system: process.env.IMAGE_CAPTION_PROMPT,
+      user: process.env.IMAGE_CAPTION_PROMPT
+    };
+  }
+
+  return overrides;
+}
+
+module.exports = {
+  // Directory holding one folder per template (template.json + v<N>.system.txt / v<N>.user.txt).
+  // Edits made through /api/prompts are written here; point it at persistent storage
+  // so they survive redeploys
+  PROMPTS_DIR: process.env.PROMPTS_DIR || path.join(__dirname, '..', 'data', 'prompts'),
+
+  // Templates shipped with the code. Any of them missing from PROMPTS_DIR is copied there on first use
+  BUNDLED_PROMPTS_DIR: path.join(__dirname, '..', 'prompts'),
+
+  // Prompts set in .env before the template files existed. They take precedence over the
+  // active version of the template they replace until they are removed from .env
+  ENV_PROMPT_OVERRIDES: loadEnvPromptOverrides(),
+
+  // Default values for the named variables available in every template
+  PROMPT_DEFAULT_VARIABLES: {
+    audience: process.env.PROMPT_AUDIENCE || 'usuários finais do produto',
+    language: process.env.PROMPT_LANGUAGE || 'português do Brasil',
+    product: process.env.PROMPT_PRODUCT || 'o produto'
+  }
+};
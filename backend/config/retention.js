@@ -0,0 +1,25 @@
+/**
+ * Retention policy for files in the uploads directory
+ * All values can be overridden via environment variables
+ */
+
+module.exports = {
+  // Enable the background sweep in the server process. Off unless set to "true",
+  // since the sweep deletes files and old document versions
+  RETENTION_ENABLED: process.env.RETENTION_ENABLED === 'true',
+
+  // Interval between background sweeps (1 hour)
+  RETENTION_SWEEP_INTERVAL_MS: parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS) || 60 * 60 * 1000,
+
+  // Files older than this are removed unless a retained document version uses them (30 days)
+  RETENTION_MAX_AGE_MS: (parseInt(process.env.RETENTION_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000,
+
+  // Oldest unprotected files are removed while the directory exceeds this size (500MB)
+  RETENTION_MAX_TOTAL_SIZE: (parseInt(process.env.RETENTION_MAX_TOTAL_SIZE_MB) || 500) * 1024 * 1024,
+
+  // Files of the last N versions of each stored document are always kept
+  RETENTION_KEEP_VERSIONS: parseInt(process.env.RETENTION_KEEP_VERSIONS) || 5,
+
+  // Multer temp files (uploaded logos) are removed after this age (1 hour)
+  RETENTION_TEMP_MAX_AGE_MS: parseInt(process.env.RETENTION_TEMP_MAX_AGE_MS) || 60 * 60 * 1000
+};
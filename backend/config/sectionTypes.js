@@ -0,0 +1,146 @@
+/**
+ * Section-type registry shared by the description parser, the section prompts and the Word output
+ * Add or change types with SECTION_TYPES_FILE (a JSON file { "types": [...] } with the same shape as
+ * the entries below): entries with a known id are merged into the default, new ids add custom types
+ */
+const fs = require('fs-extra');
+
+// Each type:
+//   id        - Type stored in documents (parseMarkdownContent output, search filters, diffs)
+//   marker    - Description tag processed by the model ([marker]); types without one are never
+//               sent to the model and only come from aliases or keywords
+//   aliases   - Other tags accepted for the type, in descriptions and in generated content
+//   keywords  - Words that classify untagged lines
+//   keywordPriority - Order in which keywords are checked (lower first; defaults to order), so a
+//               line matching several types keeps the classification it always had
+//   promptKey - Route env prefix (SECTION_<KEY>_PROVIDER/_MODEL/_FALLBACKS) and template name
+//               (section-<key>); set template to reuse another type's prompt
+//   labels    - Word heading per language (DEFAULT_LANGUAGE label for missing languages)
+//   order     - Position of the section in the Word document
+//   style     - headingColor (heading rule), run (TextRun options of items), shading (item background)
+const DEFAULT_SECTION_TYPES = [
+  {
+    id: 'feature',
+    marker: 'funcionalidade',
+    aliases: ['nova', 'new'],
+    keywords: ['nova', 'new', 'adicionado', 'implementado'],
+    keywordPriority: 10,
+    promptKey: 'FUNCIONALIDADE',
+    labels: { 'pt-BR': 'Novas Funcionalidades', 'en-US': 'New Features', 'es-ES': 'Nuevas Funcionalidades' },
+    order: 10,
+    style: { headingColor: '5BC0BE' }
+  },
+  {
+    id: 'bugfix',
+    marker: 'bug',
+    aliases: ['correção', 'fixed'],
+    keywords: ['corrigido', 'fixed', 'bug', 'erro'],
+    keywordPriority: 30,
+    promptKey: 'BUG',
+    labels: { 'pt-BR': 'Correções de Erros', 'en-US': 'Bug Fixes', 'es-ES': 'Corrección de Errores' },
+    order: 20,
+    style: { headingColor: '5BC0BE' }
+  },
+  {
+    id: 'performance',
+    marker: 'performance',
+    aliases: ['melhoria', 'speed'],
+    keywords: ['performance', 'velocidade', 'speed', 'tempo', 'redução', 'reduction', 'carregamento', 'loading', 'otimização', 'optimization'],
+    keywordPriority: 40,
+    promptKey: 'PERFORMANCE',
+    labels: { 'pt-BR': 'Melhorias de Desempenho', 'en-US': 'Performance Improvements', 'es-ES': 'Mejoras de Rendimiento' },
+    order: 30,
+    style: { headingColor: '5BC0BE' }
+  },
+  {
+    id: 'enhancement',
+    aliases: [],
+    keywords: ['melhorado', 'enhanced', 'otimizado', 'upgraded', 'melhoria', 'improvement', 'redução', 'reduction'],
+    keywordPriority: 20,
+    labels: { 'pt-BR': 'Melhorias Gerais', 'en-US': 'General Improvements', 'es-ES': 'Mejoras Generales' },
+    order: 40,
+    style: { headingColor: '5BC0BE' }
+  },
+  {
+    id: 'security',
+    marker: 'segurança',
+    aliases: ['security'],
+    keywords: ['segurança', 'security', 'vulnerabilidade'],
+    keywordPriority: 50,
+    promptKey: 'SEGURANCA',
+    labels: { 'pt-BR': 'Atualizações de Segurança', 'en-US': 'Security Updates', 'es-ES': 'Actualizaciones de Seguridad' },
+    order: 50,
+    style: { headingColor: '5BC0BE' }
+  },
+  {
+    id: 'known_issue',
+    marker: 'conhecido',
+    aliases: ['known issue'],
+    keywords: ['problema', 'issue', 'conhecido'],
+    keywordPriority: 60,
+    promptKey: 'CONHECIDO',
+    labels: { 'pt-BR': 'Problemas Conhecidos', 'en-US': 'Known Issues', 'es-ES': 'Problemas Conocidos' },
+    order: 60,
+    style: { headingColor: 'E69138', shading: { fill: 'FFF4E5' } }
+  },
+  {
+    id: 'deprecated',
+    marker: 'deprecated',
+    aliases: ['descontinuado', 'obsoleto'],
+    keywords: ['deprecated', 'obsoleto', 'removido'],
+    keywordPriority: 70,
+    promptKey: 'DEPRECATED',
+    labels: { 'pt-BR': 'Descontinuado', 'en-US': 'Deprecated', 'es-ES': 'Obsoleto' },
+    order: 70,
+    style: { headingColor: '999999', run: { color: '666666', italics: true } }
+  },
+  {
+    id: 'resource',
+    marker: 'recurso',
+    aliases: ['resource', 'manual'],
+    keywords: ['recurso', 'resource', 'manual', 'documentação'],
+    keywordPriority: 80,
+    promptKey: 'RECURSO',
+    labels: { 'pt-BR': 'Recursos Adicionais', 'en-US': 'Additional Resources', 'es-ES': 'Recursos Adicionales' },
+    order: 80,
+    style: { headingColor: '5BC0BE' }
+  }
+];
+
+/**
+ * Load the registry, merging SECTION_TYPES_FILE into the default when set
+ * @returns {Array} Section types
+ */
+function loadSectionTypes() {
+  if (!process.env.SECTION_TYPES_FILE) {
+    return DEFAULT_SECTION_TYPES;
+  }
+  try {
+    const { types } = fs.readJsonSync(process.env.SECTION_TYPES_FILE);
+    if (!Array.isArray(types) || types.some(type => !type || typeof type.id !== 'string')) {
+      throw new Error('"types" must be a list of section types, each with an id');
+    }
+
+    const merged = DEFAULT_SECTION_TYPES.map(type => {
+      const override = types.find(candidate => candidate.id === type.id);
+      return override
+        ? { ...type, ...override, labels: { ...type.labels, ...override.labels }, style: { ...type.style, ...override.style } }
+        : type;
+    });
+    const custom = types
+      .filter(type => !DEFAULT_SECTION_TYPES.some(candidate => candidate.id === type.id))
+      .map(type => ({ aliases: [], keywords: [], labels: {}, order: 1000, style: { headingColor: '5BC0BE' }, ...type }));
+
+    return [...merged, ...custom];
+  } catch (error) {
+    console.error('Invalid SECTION_TYPES_FILE, using the default section types:', error.message);
+    return DEFAULT_SECTION_TYPES;
+  }
+}
+
+module.exports = {
+  SECTION_TYPES: loadSectionTypes(),
+
+  // Type of untagged lines no keyword matches, and of descriptions without any tag
+  DEFAULT_SECTION_TYPE: process.env.DEFAULT_SECTION_TYPE || 'feature'
+};
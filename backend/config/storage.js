@@ -0,0 +1,32 @@
+/**
+ * Storage configuration for uploaded images and generated documents
+ * All values can be overridden via environment variables
+ */
+const path = require('path');
+
+module.exports = {
+  // Storage driver: 'local' or 's3' (any S3-compatible service, e.g. MinIO)
+  STORAGE_PROVIDER: process.env.STORAGE_PROVIDER || 'local',
+
+  // Local driver: directory where files are kept
+  LOCAL_STORAGE_DIR: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads'),
+
+  // Local driver: secret used to sign temporary download URLs (unset: random per process,
+  // so signed URLs stop working after a restart)
+  STORAGE_SIGNING_SECRET: process.env.STORAGE_SIGNING_SECRET || null,
+
+  // S3 driver settings (set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true for MinIO)
+  S3_BUCKET: process.env.S3_BUCKET,
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_ENDPOINT: process.env.S3_ENDPOINT,
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE === 'true',
+  S3_PREFIX: process.env.S3_PREFIX || '',
+
+  // Signed URL lifetime (15 minutes)
+  SIGNED_URL_EXPIRES_IN: parseInt(process.env.SIGNED_URL_EXPIRES_IN) || 15 * 60,
+
+  // Longest lifetime a client may ask for (7 days, the S3 presigner limit)
+  SIGNED_URL_MAX_EXPIRES_IN: 7 * 24 * 60 * 60
+};
@@ -0,0 +1,23 @@
+/**
+ * Give the request an AbortSignal (req.signal) that aborts when the client
+ * goes away before the response is sent (closed tab, frontend timeout), so
+ * abandoned requests stop calling the model
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function abortOnDisconnect(req, res, next) {
+  const controller = new AbortController();
+
+  // "close" also fires after a normal response; only an unfinished one means the client left
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(new Error('Client disconnected'));
+    }
+  });
+
+  req.signal = controller.signal;
+  next();
+}
+
+module.exports = abortOnDisconnect;
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const { ADMIN_TOKEN } = require('../config/admin');
+
+/**
+ * Reject requests that don't carry the admin token ("Authorization: Bearer <ADMIN_TOKEN>")
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdminToken(req, res, next) {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const token = Buffer.from(match ? match[1].trim() : '');
+  const expected = Buffer.from(ADMIN_TOKEN || '');
+
+  // Constant-time comparison so the token can't be guessed from response times
+  if (!ADMIN_TOKEN || token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      details: 'A valid admin token is required'
+    });
+  }
+
+  next();
+}
+
+module.exports = requireAdminToken;
@@ -0,0 +1,86 @@
+const { getDocument } = require('../services/documentStore');
+const { describeGitHistory } = require('../services/gitHistoryService');
+const { MAX_DESCRIPTION_LENGTH } = require('../config/timeouts');
+
+/**
+ * Build the generation input, turning git history into the tagged description
+ * when the request has one. Errors carry status 400.
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Generation input
+ */
+async function buildGenerationInput(body) {
+  const { git, ...input } = body;
+  if (!git) {
+    return input;
+  }
+
+  let history;
+  try {
+    history = await describeGitHistory(git);
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+
+  if (!history.description) {
+    const error = new Error('No feat, fix, perf, security or docs commits found in the git history');
+    error.status = 400;
+    throw error;
+  }
+
+  const description = [input.description, history.description].filter(Boolean).join('\n');
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    const error = new Error(`The description with ${history.included.length} commits has ${description.length} characters (maximum ${MAX_DESCRIPTION_LENGTH}). Use a shorter ref range.`);
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    ...input,
+    description,
+    gitHistory: {
+      range: history.range,
+      commits: history.included.length,
+      skipped: history.skipped
+    }
+  };
+}
+
+/**
+ * Validate a generation request (title, description or git history, and the
+ * documentId it adds a version to) and set req.generationInput, the input
+ * handed to runGeneration or the job queue
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function validateGenerationInput(req, res, next) {
+  try {
+    const { title, description, documentId, git } = req.body;
+
+    if (!title || (!description && !git)) {
+      return res.status(400).json({
+        error: 'Title and description (or git history) are required'
+      });
+    }
+
+    if (documentId && !await getDocument(documentId)) {
+      return res.status(404).json({
+        error: 'Documentation not found'
+      });
+    }
+
+    req.generationInput = await buildGenerationInput(req.body);
+    next();
+  } catch (error) {
+    if (error.status !== 400) {
+      console.error('Generation input error:', error);
+    }
+    res.status(error.status || 500).json({
+      error: error.status === 400 ? 'Invalid git history' : 'Failed to prepare the generation',
+      details: error.message
+    });
+  }
+}
+
+module.exports = validateGenerationInput;
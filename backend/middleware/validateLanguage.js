@@ -0,0 +1,27 @@
+const fs = require('fs-extra');
+const { isSupportedLanguage, SUPPORTED_LANGUAGES } = require('../services/localeService');
+
+/**
+ * Reject requests whose body asks for a language without a locale. Place it
+ * after multer on multipart routes: the body is only parsed there, and a file
+ * already uploaded for a rejected request is removed.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function validateLanguage(req, res, next) {
+  const language = req.body && req.body.language;
+  if (!language || isSupportedLanguage(language)) {
+    return next();
+  }
+
+  if (req.file) {
+    await fs.remove(req.file.path).catch(error => console.error('Error removing upload:', error));
+  }
+  res.status(400).json({
+    error: `Unsupported language: ${language}`,
+    details: `Supported languages: ${SUPPORTED_LANGUAGES.join(', ')}`
+  });
+}
+
+module.exports = validateLanguage;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { runCleanup } = require('../services/retentionService');
+
+// POST /api/admin/cleanup
+// Apply the uploads retention policy (use ?dryRun=true to only report)
+router.post('/cleanup', async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const report = await runCleanup({ dryRun });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Cleanup error:', error);
+    res.status(500).json({
+      error: 'Failed to clean up uploads',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
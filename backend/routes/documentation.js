@@ -1,8 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { generateDocumentation } = require('../services/openaiService');
-const { generateWordDocument, saveWordDocument } = require('../services/wordService');
-const { uploadImage } = require('../services/imageService');
+const { generateWordDocument, saveWordDocument, parseMarkdownContent } = require('../services/wordService');
+const { runGeneration } = require('../services/generationService');
+const { createJob } = require('../services/jobQueue');
+const { saveDocument, getDocument, listDocuments, listVersions, getVersion } = require('../services/documentStore');
+const { diffSections } = require('../services/versionDiff');
+const { getStorage } = require('../services/storage');
+const { SIGNED_URL_EXPIRES_IN, SIGNED_URL_MAX_EXPIRES_IN } = require('../config/storage');
+const { searchDocuments } = require('../services/searchService');
+const abortOnDisconnect = require('../middleware/abortOnDisconnect');
+const validateLanguage = require('../middleware/validateLanguage');
+const validateGenerationInput = require('../middleware/validateGenerationInput');
 const path = require('path');
 const fs = require('fs-extra');
 const multer = require('multer');
@@ -19,105 +27,102 @@ const upload = multer({ storage });
 
 // POST /api/documentation/generate
 // Receives form data and generates documentation
-router.post('/generate', async (req, res) => {
+// Pass documentId to store the result as a new version of an existing document
+// Pass language (pt-BR, en-US, es-ES) to choose the language of the text, headings, labels and dates
+// Pass promptVariables ({ audience, product, ... }) to fill the prompt templates (see /api/prompts)
+// Pass noCache: true to call the model even for prompts answered before (metadata.cache reports hits/misses)
+// Pass git: { log } (raw git log output) or git: { repoPath, range } (e.g. v1.2.0..v1.3.0; repoPath must be
+// inside GIT_REPOS_ROOT, and is rejected when it is unset) instead of
+// or in addition to the description; conventional commits become tagged items with their hash
+// With ?async=true the generation is queued and a jobId is returned right away (see /api/jobs);
+// otherwise it is cancelled, and nothing is saved, when the client disconnects
+router.post('/generate', abortOnDisconnect, validateLanguage, validateGenerationInput, async (req, res) => {
   try {
-    const { title, description, images } = req.body;
+    const input = req.generationInput;
 
-    // Validate required fields
-    if (!title || !description) {
-      return res.status(400).json({
-        error: 'Title and description are required'
+    if (req.query.async === 'true') {
+      const job = await createJob(input);
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
       });
     }
 
-    // Process images if provided
-    let processedImages = [];
-    if (images && images.length > 0) {
-      try {
-        processedImages = await Promise.all(
-          images.map(async (image, index) => {
-            const uploadedImage = await uploadImage(image);
-            return {
-              url: uploadedImage.url,
-              caption: uploadedImage.caption || `Image ${index + 1}`,
-              position: index
-            };
-          })
-        );
-      } catch (imageError) {
-        console.error('Image processing error:', imageError);
-        return res.status(500).json({
-          error: 'Failed to process images',
-          details: imageError.message
-        });
-      }
-    }
+    const response = await runGeneration(input, { signal: req.signal });
 
-    // Extract author from request body
-    const author = req.body.author;
-
-    // Generate documentation using AI
-    const documentation = await generateDocumentation({
-      title,
-      description,
-      images: processedImages,
-      author
-    });
+    res.json(response);
 
-    // Handle logo from request (if present)
-    let logo = null;
-    if (req.body.logo.base64 ) {
-      logo = req.body.logo.base64 ;
-    } else if (req.body.logo) {
-      logo = req.body.logo;
+  } catch (error) {
+    if (req.signal.aborted) {
+      console.log(`🛑 Generation of "${req.body.title}" cancelled: client disconnected`);
+      return;
     }
-
-    // Generate Word document and filename
-    const buffer = await generateWordDocument({
-      title,
-      content: documentation.content,
-      images: processedImages,
-      author,
-      logo: logo || null
+    console.error('Documentation generation error:', error);
+    res.status(500).json({
+      error: error.stage === 'images' ? 'Failed to process images' : 'Failed to generate documentation',
+      details: error.message
     });
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `${title.replace(/[^a-zA-Z0-9]/g, '_')}_${timestamp}.docx`;
-    await saveWordDocument(buffer, filename);
+  }
+});
 
-    const response = {
-      success: true,
-      documentation,
-      filename,
-      metadata: {
-        title,
-        generatedAt: new Date().toISOString(),
-        imageCount: processedImages.length
-      }
-    };
+// POST /api/documentation/generate/stream
+// Same as /generate, but streams progress as Server-Sent Events:
+//   event: progress  data: { stage, status, ... }
+//   event: complete  data: the /generate response
+//   event: error     data: { error, details }
+// Closing the stream cancels the generation
+router.post('/generate/stream', abortOnDisconnect, validateLanguage, validateGenerationInput, async (req, res) => {
+  const input = req.generationInput;
 
-    res.json(response);
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
+  try {
+    const response = await runGeneration(input, {
+      signal: req.signal,
+      onProgress: (progress) => sendEvent('progress', progress)
+    });
+    sendEvent('complete', response);
   } catch (error) {
-    console.error('Documentation generation error:', error);
-    res.status(500).json({
-      error: 'Failed to generate documentation',
+    if (req.signal.aborted) {
+      console.log(`🛑 Generation of "${input.title}" cancelled: client disconnected`);
+      return;
+    }
+    console.error('Documentation stream error:', error);
+    sendEvent('error', {
+      error: error.stage === 'images' ? 'Failed to process images' : 'Failed to generate documentation',
       details: error.message
     });
+  } finally {
+    res.end();
   }
 });
 
 // POST /api/documentation/download-word
-// Generate and download Word document
-router.post('/download-word', upload.single('logo'), async (req, res) => {
+// Generate and download Word document (optional language: pt-BR, en-US, es-ES)
+router.post('/download-word', upload.single('logo'), validateLanguage, async (req, res) => {
   try {
     // Accept both JSON and multipart/form-data
-    let title, content, author;
+    let title, content, author, documentId, language;
     if (req.is('multipart/form-data')) {
       title = req.body.title;
       content = req.body.content;
       author = req.body.author;
+      documentId = req.body.documentId;
+      language = req.body.language;
     } else {
-      ({ title, content, author } = req.body);
+      ({ title, content, author, documentId, language } = req.body);
     }
     if (!title || !content) {
       return res.status(400).json({ error: 'Title and content are required' });
@@ -125,6 +130,9 @@ router.post('/download-word', upload.single('logo'), async (req, res) => {
     if (typeof content !== 'string' || content.trim().length === 0) {
       return res.status(400).json({ error: 'Content cannot be empty' });
     }
+    if (documentId && !await getDocument(documentId)) {
+      return res.status(404).json({ error: 'Documentation not found' });
+    }
     let logo = null;
     // Verificar se temos um arquivo de logo enviado via multipart/form-data
     if (req.file) {
@@ -149,7 +157,8 @@ router.post('/download-word', upload.single('logo'), async (req, res) => {
       content,
       images: [],
       author,
-      logo: logo
+      logo: logo,
+      language
     });
     if (!buffer || buffer.length === 0) {
       console.error('Generated buffer is empty or invalid');
@@ -161,10 +170,25 @@ router.post('/download-word', upload.single('logo'), async (req, res) => {
     }
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const filename = `${title.replace(/[^a-zA-Z0-9]/g, '_')}_${timestamp}.docx`;
-    const filePath = await saveWordDocument(buffer, filename);
+    await saveWordDocument(buffer, filename);
+
+    // Persist the document record
+    const storedDocument = await saveDocument({
+      documentId,
+      title,
+      author,
+      content,
+      sections: parseMarkdownContent(content),
+      filename,
+      images: [],
+      language,
+      source: 'download-word'
+    });
     
     // Retornar os dados da documentação e o nome do arquivo para download posterior
     return res.status(200).json({
+      id: storedDocument.id,
+      version: storedDocument.version,
       documentation: {
         title,
         content,
@@ -176,6 +200,11 @@ router.post('/download-word', upload.single('logo'), async (req, res) => {
   } catch (error) {
     console.error('Word download error:', error);
     res.status(500).json({ error: 'Failed to generate Word document', details: error.message });
+  } finally {
+    // The uploaded logo is only needed to build the document, whatever the outcome
+    if (req.file) {
+      await fs.remove(req.file.path).catch(error => console.error('Error removing logo upload:', error));
+    }
   }
 });
 
@@ -184,24 +213,26 @@ router.post('/download-word', upload.single('logo'), async (req, res) => {
 router.get('/download/:filename', async (req, res) => {
   try {
     const { filename } = req.params;
-    const filePath = path.join(__dirname, '../uploads', filename);
+    const storage = getStorage();
 
-    if (!await fs.pathExists(filePath)) {
+    if (path.basename(filename) !== filename || !await storage.exists(filename)) {
       return res.status(404).json({
         error: 'Document not found'
       });
     }
 
+    const buffer = await storage.get(filename);
+
     // Enviar arquivo para download
-    return res.download(filePath, filename, {
-      headers: {
-        'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        'Pragma': 'no-cache',
-        'Expires': '0',
-        'X-Content-Type-Options': 'nosniff'
-      }
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-cache, no-store, must-revalidate',
+      'Pragma': 'no-cache',
+      'Expires': '0',
+      'X-Content-Type-Options': 'nosniff'
     });
+    return res.send(buffer);
 
   } catch (error) {
     console.error('Preview error:', error);
@@ -212,17 +243,193 @@ router.get('/download/:filename', async (req, res) => {
   }
 });
 
+// GET /api/documentation/download/:filename/url
+// Get a temporary signed URL for a Word document (?expiresIn= seconds, up to 7 days)
+router.get('/download/:filename/url', async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const storage = getStorage();
+
+    const expiresIn = req.query.expiresIn === undefined ? SIGNED_URL_EXPIRES_IN : Number(req.query.expiresIn);
+    if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > SIGNED_URL_MAX_EXPIRES_IN) {
+      return res.status(400).json({
+        error: 'Invalid expiresIn',
+        details: `Use a number of seconds between 1 and ${SIGNED_URL_MAX_EXPIRES_IN}`
+      });
+    }
+
+    if (path.basename(filename) !== filename || !await storage.exists(filename)) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    const url = await storage.getSignedUrl(filename, expiresIn);
+
+    res.json({
+      success: true,
+      filename,
+      url,
+      expiresIn
+    });
+  } catch (error) {
+    console.error('Signed URL error:', error);
+    res.status(500).json({
+      error: 'Failed to create download URL',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/documentation/search
+// Full-text search over titles, descriptions and generated items
+// Query: q, type (comma-separated section types), author, from, to, page, limit
+router.get('/search', async (req, res) => {
+  try {
+    const { q, type, author, from, to, page, limit } = req.query;
+    const result = await searchDocuments({ q, type, author, from, to, page, limit });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid search query',
+        details: error.message
+      });
+    }
+    console.error('Documentation search error:', error);
+    res.status(500).json({
+      error: 'Failed to search documentations',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/documentation/:id/versions
+// List all versions of a documentation, oldest first
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versions = await listVersions(id);
+
+    if (!versions) {
+      return res.status(404).json({
+        error: 'Documentation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      id,
+      versions
+    });
+  } catch (error) {
+    console.error('Version listing error:', error);
+    res.status(500).json({
+      error: 'Failed to list versions',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/documentation/:id/versions/:version
+// Retrieve a specific version of a documentation
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const snapshot = await getVersion(id, version);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      id,
+      version: snapshot
+    });
+  } catch (error) {
+    console.error('Version retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve version',
+      details: error.message
+    });
+  }
+});
+
+// GET /api/documentation/:id/diff?from=1&to=2
+// Compare the parsed sections of two versions (defaults: previous vs. latest)
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const document = await getDocument(id);
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Documentation not found'
+      });
+    }
+
+    // Only missing parameters take the defaults; anything else must be a version number
+    const to = req.query.to === undefined ? document.version : Number(req.query.to);
+    const from = req.query.from === undefined ? Math.max(to - 1, 1) : Number(req.query.from);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({
+        error: 'Invalid version',
+        details: 'from and to must be integer version numbers'
+      });
+    }
+
+    const fromVersion = await getVersion(id, from);
+    const toVersion = await getVersion(id, to);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        error: 'Version not found',
+        details: `Available versions: 1-${document.version}`
+      });
+    }
+
+    res.json({
+      success: true,
+      id,
+      from,
+      to,
+      ...diffSections(fromVersion.sections, toVersion.sections)
+    });
+  } catch (error) {
+    console.error('Version diff error:', error);
+    res.status(500).json({
+      error: 'Failed to compare versions',
+      details: error.message
+    });
+  }
+});
+
 // GET /api/documentation/:id
-// Retrieve a specific documentation (for future use with database)
+// Retrieve a specific documentation from the document store
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    
-    // TODO: Implement database retrieval
-    // For now, return a placeholder
+    const document = await getDocument(id);
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Documentation not found'
+      });
+    }
+
     res.json({
-      message: 'Documentation retrieval not yet implemented',
-      id
+      success: true,
+      documentation: {
+        ...document,
+        versions: await listVersions(id)
+      }
     });
   } catch (error) {
     console.error('Documentation retrieval error:', error);
@@ -234,14 +441,16 @@ router.get('/:id', async (req, res) => {
 });
 
 // GET /api/documentation
-// List all documentations (for future use with database)
+// List stored documentations
+// Query: page, limit, sortBy (createdAt|updatedAt|title|author), order (asc|desc)
 router.get('/', async (req, res) => {
   try {
-    // TODO: Implement database listing
-    // For now, return a placeholder
+    const { page, limit, sortBy, order } = req.query;
+    const result = await listDocuments({ page, limit, sortBy, order });
+
     res.json({
-      message: 'Documentation listing not yet implemented',
-      documentations: []
+      success: true,
+      ...result
     });
   } catch (error) {
     console.error('Documentation listing error:', error);
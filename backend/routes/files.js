@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { getStorage } = require('../services/storage');
+
+// GET /api/files/:key?expires=...&signature=...
+// Serve a file through a signed URL issued by the local storage driver
+router.get('/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+    const storage = getStorage();
+
+    if (!storage.verifySignature) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    if (!storage.verifySignature(key, expires, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+
+    if (!await storage.exists(key)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const data = await storage.get(key);
+    res.type(path.extname(key)).attachment(key).send(data);
+  } catch (error) {
+    console.error('Signed file error:', error);
+    res.status(500).json({
+      error: 'Failed to serve file',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
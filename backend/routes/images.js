@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { uploadImage } = require('../services/imageService');
+const path = require('path');
+const { uploadImage, deleteImage, imageExists, getImage } = require('../services/imageService');
+const { findImageReferences } = require('../services/documentStore');
+const abortOnDisconnect = require('../middleware/abortOnDisconnect');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -14,6 +17,9 @@ const storage = multer.diskStorage({
   }
 });
 
+// Extensions served by GET /api/images/:filename (no SVG: it can carry scripts)
+const IMAGE_EXTENSION_PATTERN = /\.(png|jpe?g|gif|webp|bmp)$/i;
+
 const upload = multer({
   storage: storage,
   limits: {
@@ -30,8 +36,11 @@ const upload = multer({
 });
 
 // POST /api/images/upload
-// Upload a single image
-router.post('/upload', upload.single('image'), async (req, res) => {
+// Upload a single image (optional "title" field gives the caption model the document title)
+// With ?caption=false the image is stored without a caption, for images /generate captions
+// with the document context (saves a second vision call)
+// The image is only stored once captioned; a client disconnect cancels the upload
+router.post('/upload', abortOnDisconnect, upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -48,7 +57,11 @@ router.post('/upload', upload.single('image'), async (req, res) => {
       size: req.file.size
     };
 
-    const uploadedImage = await uploadImage(imageData);
+    const uploadedImage = await uploadImage(imageData, {
+      context: { title: req.body.title },
+      signal: req.signal,
+      caption: req.query.caption !== 'false'
+    });
 
     res.json({
       success: true,
@@ -56,6 +69,10 @@ router.post('/upload', upload.single('image'), async (req, res) => {
     });
 
   } catch (error) {
+    if (req.signal.aborted) {
+      console.log('🛑 Image upload cancelled: client disconnected');
+      return;
+    }
     console.error('Image upload error:', error);
     res.status(500).json({
       error: 'Failed to upload image',
@@ -65,8 +82,8 @@ router.post('/upload', upload.single('image'), async (req, res) => {
 });
 
 // POST /api/images/upload-multiple
-// Upload multiple images
-router.post('/upload-multiple', upload.array('images', 10), async (req, res) => {
+// Upload multiple images (accepts ?caption=false like /upload)
+router.post('/upload-multiple', abortOnDisconnect, upload.array('images', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -85,7 +102,11 @@ router.post('/upload-multiple', upload.array('images', 10), async (req, res) =>
           size: file.size
         };
 
-        return await uploadImage(imageData);
+        return await uploadImage(imageData, {
+          context: { title: req.body.title },
+          signal: req.signal,
+          caption: req.query.caption !== 'false'
+        });
       })
     );
 
@@ -96,6 +117,10 @@ router.post('/upload-multiple', upload.array('images', 10), async (req, res) =>
     });
 
   } catch (error) {
+    if (req.signal.aborted) {
+      console.log('🛑 Image upload cancelled: client disconnected');
+      return;
+    }
     console.error('Multiple image upload error:', error);
     res.status(500).json({
       error: 'Failed to upload images',
@@ -105,30 +130,65 @@ router.post('/upload-multiple', upload.array('images', 10), async (req, res) =>
 });
 
 // GET /api/images/:filename
-// Serve uploaded images
-router.get('/:filename', (req, res) => {
-  const { filename } = req.params;
-  res.sendFile(filename, { root: 'uploads/' }, (err) => {
-    if (err) {
-      res.status(404).json({
+// Serve uploaded images from the storage provider
+router.get('/:filename', async (req, res) => {
+  try {
+    const { filename } = req.params;
+
+    // Only images: generated documents share the storage and need a signed URL
+    if (path.basename(filename) !== filename || !IMAGE_EXTENSION_PATTERN.test(filename) || !await imageExists(filename)) {
+      return res.status(404).json({
         error: 'Image not found'
       });
     }
-  });
+
+    const data = await getImage(filename);
+    res.type(path.extname(filename)).send(data);
+  } catch (error) {
+    console.error('Image retrieval error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve image',
+      details: error.message
+    });
+  }
 });
 
 // DELETE /api/images/:filename
 // Delete an uploaded image
+// Images referenced by stored documents are only deleted with ?force=true
 router.delete('/:filename', async (req, res) => {
   try {
     const { filename } = req.params;
-    
-    // TODO: Implement image deletion from storage service
-    // For now, just return success
+    const force = req.query.force === 'true';
+
+    if (path.basename(filename) !== filename) {
+      return res.status(400).json({
+        error: 'Invalid filename'
+      });
+    }
+
+    if (!await imageExists(filename)) {
+      return res.status(404).json({
+        error: 'Image not found'
+      });
+    }
+
+    const references = await findImageReferences(filename);
+    if (references.length > 0 && !force) {
+      return res.status(409).json({
+        error: 'Image is referenced by stored documents',
+        details: 'Use ?force=true to delete it anyway',
+        references
+      });
+    }
+
+    await deleteImage(filename);
+
     res.json({
       success: true,
-      message: 'Image deletion not yet implemented',
-      filename
+      message: 'Image deleted successfully',
+      filename,
+      references
     });
   } catch (error) {
     console.error('Image deletion error:', error);
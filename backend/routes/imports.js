@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { importIssues, IMPORT_FORMATS } = require('../services/issueImportService');
+
+// Exports are parsed right away, so they stay in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// POST /api/import/preview
+// Turn a Jira CSV or GitHub issues JSON export into a tagged description for review
+// before generation. Send the export as a "file" upload or as JSON { content },
+// with an optional format (jira-csv, github-json; detected when omitted)
+router.post('/preview', upload.single('file'), async (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    const { format } = req.body;
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({
+        error: 'An export file or content is required'
+      });
+    }
+
+    if (format && !IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Unsupported import format: ${format}`,
+        details: `Supported formats: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    let preview;
+    try {
+      preview = importIssues(content, { format });
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid export',
+        details: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      ...preview
+    });
+  } catch (error) {
+    console.error('Import preview error:', error);
+    res.status(500).json({
+      error: 'Failed to import issues',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { getJob, cancelJob } = require('../services/jobQueue');
+
+// GET /api/jobs/:id
+// Status, progress and result of a generation job
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve job',
+      details: error.message
+    });
+  }
+});
+
+// DELETE /api/jobs/:id
+// Cancel a generation job, aborting its in-flight LLM calls
+router.delete('/:id', async (req, res) => {
+  try {
+    const job = await cancelJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Job cancellation error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel job',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../services/promptStore');
+const { renderPromptMessages } = require('../services/sectionProcessor');
+
+/**
+ * Send a prompt store error with its status (400/404/409) or 500
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the prompt store
+ * @param {string} label - Error label for unexpected failures
+ */
+function sendError(res, error, label) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({
+    error: label,
+    details: error.message
+  });
+}
+
+// GET /api/prompts
+// List prompt templates
+router.get('/', async (req, res) => {
+  try {
+    const templates = await listTemplates();
+    res.json({ success: true, templates });
+  } catch (error) {
+    sendError(res, error, 'Failed to list prompt templates');
+  }
+});
+
+// GET /api/prompts/:name
+// Get a template with its active messages (?version=N for an older version)
+router.get('/:name', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.name, req.query.version);
+    if (!template) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    res.json({ success: true, template });
+  } catch (error) {
+    sendError(res, error, 'Failed to get prompt template');
+  }
+});
+
+// POST /api/prompts
+// Create a template ({ name, description, system, user, variables, author })
+router.post('/', async (req, res) => {
+  try {
+    const { name, system, user } = req.body;
+    if (!name || !system || !user) {
+      return res.status(400).json({ error: 'name, system and user are required' });
+    }
+
+    const template = await createTemplate(req.body);
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    sendError(res, error, 'Failed to create prompt template');
+  }
+});
+
+// PUT /api/prompts/:name
+// Save new messages as a new active version, or switch versions with { activeVersion }
+router.put('/:name', async (req, res) => {
+  try {
+    const template = await updateTemplate(req.params.name, req.body);
+    if (!template) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    res.json({ success: true, template });
+  } catch (error) {
+    sendError(res, error, 'Failed to update prompt template');
+  }
+});
+
+// DELETE /api/prompts/:name
+// Delete a template and all its versions (bundled templates answer 409)
+router.delete('/:name', async (req, res) => {
+  try {
+    if (!await deleteTemplate(req.params.name)) {
+      return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    res.json({ success: true, message: 'Prompt template deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete prompt template');
+  }
+});
+
+// POST /api/prompts/:name/render
+// Preview the exact messages sent to the model for an input (section templates include the JSON output contract)
+// Body: { variables: { title, content, audience, ... }, version }
+router.post('/:name/render', async (req, res) => {
+  try {
+    const { variables = {}, version } = req.body;
+    const rendered = await renderPromptMessages(req.params.name, variables, { version });
+    res.json({ success: true, ...rendered });
+  } catch (error) {
+    sendError(res, error, 'Failed to render prompt template');
+  }
+});
+
+module.exports = router;
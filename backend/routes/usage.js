@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { getUsageReport } = require('../services/usageService');
+
+// GET /api/usage
+// Token usage and estimated cost of LLM calls
+// Query: from, to (dates), groupBy (comma-separated: day, model, author; defaults to all three)
+router.get('/', async (req, res) => {
+  try {
+    const { from, to, groupBy } = req.query;
+
+    // The service validates groupBy and the dates; its errors carry status 400
+    const report = await getUsageReport({ from, to, groupBy });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid usage report query',
+        details: error.message
+      });
+    }
+    console.error('Usage report error:', error);
+    res.status(500).json({
+      error: 'Failed to build usage report',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,3 +1,7 @@
+// Load environment variables before anything reads them (config/* reads process.env on require)
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -8,12 +12,21 @@ const {
   RATE_LIMIT_MAX_REQUESTS, 
   BODY_LIMIT 
 } = require('./config/timeouts');
-// Load environment variables
-const path = require('path');
-require('dotenv').config({ path: path.join(__dirname, '.env') });
+const { RETENTION_ENABLED, RETENTION_SWEEP_INTERVAL_MS } = require('./config/retention');
+const { ADMIN_TOKEN } = require('./config/admin');
+const requireAdminToken = require('./middleware/requireAdminToken');
 
 const documentationRoutes = require('./routes/documentation');
 const imageRoutes = require('./routes/images');
+const adminRoutes = require('./routes/admin');
+const fileRoutes = require('./routes/files');
+const jobRoutes = require('./routes/jobs');
+const promptRoutes = require('./routes/prompts');
+const usageRoutes = require('./routes/usage');
+const importRoutes = require('./routes/imports');
+const { startRetentionSweep } = require('./services/retentionService');
+const { startJobQueue } = require('./services/jobQueue');
+const { getCircuitStates } = require('./services/llm/circuitBreaker');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -61,19 +74,33 @@ app.use((req, res, next) => {
   next();
 });
 
-// Static files (for uploaded images)
-app.use('/uploads', express.static('uploads'));
+// Stored files are not served statically: images go through /api/images and
+// generated documents through /api/documentation/download or signed URLs
 
 // Routes
 app.use('/api/documentation', documentationRoutes);
 app.use('/api/images', imageRoutes);
+// Admin routes delete files and prompt routes change what is sent to the model;
+// they are only mounted when ADMIN_TOKEN is configured
+if (ADMIN_TOKEN) {
+  app.use('/api/admin', requireAdminToken, adminRoutes);
+  app.use('/api/prompts', requireAdminToken, promptRoutes);
+} else {
+  console.warn('⚠️  ADMIN_TOKEN is not set; /api/admin and /api/prompts routes are disabled');
+}
+app.use('/api/files', fileRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/import', importRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV 
+    environment: process.env.NODE_ENV,
+    // LLM routes (provider/model) with recent failures; open circuits are being skipped
+    llmProviders: getCircuitStates()
   });
 });
 
@@ -96,4 +123,13 @@ server.listen(PORT, () => {
   console.log(`📝 Environment: ${process.env.NODE_ENV}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   console.log(`⏱️  Server timeout: ${SERVER_TIMEOUT / 1000} seconds`);
+
+  // Background sweep of the uploads directory
+  if (RETENTION_ENABLED) {
+    startRetentionSweep();
+    console.log(`🧹 Retention sweep every ${RETENTION_SWEEP_INTERVAL_MS / 60000} minutes`);
+  }
+
+  // Resume generation jobs persisted before the last restart
+  startJobQueue().catch(error => console.error('Failed to start job queue:', error.message));
 });
\ No newline at end of file
@@ -0,0 +1,140 @@
+const { COVERAGE_MATCH_THRESHOLD } = require('../config/coverage');
+
+// Short function words that say nothing about which item a text came from
+const STOPWORDS = new Set([
+  'que', 'com', 'para', 'por', 'uma', 'dos', 'das', 'nos', 'nas', 'nao', 'sem', 'foi', 'ser', 'sao', 'mais', 'como', 'agora', 'aos',
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'now', 'into', 'when', 'are', 'was',
+  'los', 'las', 'del', 'con', 'una', 'ahora'
+]);
+
+// Words are compared by their first letters so inflections still match (corrigido / corrige)
+const STEM_LENGTH = 5;
+
+/**
+ * Reduce a text to the set of word stems used for matching
+ * @param {string} text - Item text
+ * @returns {Set<string>} Word stems
+ */
+function stems(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/^\s*\[[^\]]+\]\s*/, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word));
+
+  return new Set(words.map(word => word.slice(0, STEM_LENGTH)));
+}
+
+/**
+ * Share of the smaller item's words found in the other item. Rewritten items
+ * keep the key words of their source, so a low overlap means the generated
+ * item is not about its source.
+ * @param {Set<string>} a - Stems of the first item
+ * @param {Set<string>} b - Stems of the second item
+ * @returns {number} Overlap between 0 and 1
+ */
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  for (const stem of a) {
+    if (b.has(stem)) shared++;
+  }
+
+  return shared / Math.min(a.size, b.size);
+}
+
+/**
+ * Build the coverage report of a generation. Every input item is mapped to the
+ * generated items derived from it; input items with no matching output are
+ * flagged as dropped and generated items that match no input as unmatched.
+ * Sections the model failed on (source 'fallback', the input copied through)
+ * are flagged as fallback instead of counting as covered.
+ * Translated output shares almost no words with its input, so with
+ * matchBy 'provenance' each generated item is credited to the input item it
+ * was processed from, without comparing texts.
+ * @param {Array} provenance - One entry per processed input item ({ input: { type, content }, items, producedBy })
+ * @param {Object} options - Report options
+ * @param {number} options.threshold - Minimum overlap to count as a match
+ * @param {string} options.matchBy - 'text' (word overlap) or 'provenance'
+ * @returns {Object} Coverage report ({ summary, inputs, generated })
+ */
+function buildCoverageReport(provenance, { threshold = COVERAGE_MATCH_THRESHOLD, matchBy = 'text' } = {}) {
+  const inputStems = provenance.map(entry => stems(entry.input.content));
+  const fellBack = provenance.map(entry => Boolean(entry.producedBy && entry.producedBy.source === 'fallback'));
+  const inputs = provenance.map((entry, index) => ({
+    index,
+    type: entry.input.type,
+    text: entry.input.content,
+    status: fellBack[index] ? 'fallback' : 'dropped',
+    source: entry.producedBy ? entry.producedBy.source : null,
+    generated: []
+  }));
+  const generated = [];
+
+  provenance.forEach((entry, sourceIndex) => {
+    for (const item of entry.items) {
+      const text = item.details ? `${item.text} - ${item.details}` : item.text;
+      const itemStems = stems(text);
+      const score = matchBy === 'provenance' ? null : overlap(itemStems, inputStems[sourceIndex]);
+
+      // Copied input is its own source; it says nothing about the model's coverage
+      let source = matchBy === 'provenance' || score >= threshold || fellBack[sourceIndex] ? sourceIndex : null;
+      let bestScore = score;
+
+      // An item may repeat another input item instead of its own
+      if (source === null) {
+        inputStems.forEach((candidate, index) => {
+          const candidateScore = overlap(itemStems, candidate);
+          if (index !== sourceIndex && candidateScore >= threshold && candidateScore > bestScore) {
+            source = index;
+            bestScore = candidateScore;
+          }
+        });
+      }
+
+      const generatedIndex = generated.length;
+      generated.push({
+        index: generatedIndex,
+        type: item.type,
+        text,
+        processedFrom: sourceIndex,
+        source,
+        score: bestScore === null ? null : Math.round(bestScore * 100) / 100,
+        status: fellBack[sourceIndex] ? 'fallback' : source === null ? 'unmatched' : 'matched'
+      });
+
+      if (source !== null) {
+        inputs[source].generated.push(generatedIndex);
+        if (inputs[source].status !== 'fallback') {
+          inputs[source].status = 'covered';
+        }
+      }
+    }
+  });
+
+  const count = (list, status) => list.filter(item => item.status === status).length;
+
+  return {
+    summary: {
+      inputItems: inputs.length,
+      generatedItems: generated.length,
+      covered: count(inputs, 'covered'),
+      dropped: count(inputs, 'dropped'),
+      fallback: count(inputs, 'fallback'),
+      unmatched: count(generated, 'unmatched'),
+      threshold,
+      matchBy
+    },
+    inputs,
+    generated
+  };
+}
+
+module.exports = {
+  buildCoverageReport
+};
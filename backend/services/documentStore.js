@@ -0,0 +1,320 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { createJsonFileStore } = require('./jsonFileStore');
+
+const STORE_PATH = process.env.DOCUMENT_STORE_PATH || path.join(__dirname, '..', 'data', 'documents.json');
+
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'title', 'author'];
+
+const store = createJsonFileStore(STORE_PATH, 'document store');
+
+// Load of the in-memory copy of the store, started lazily. The promise is kept
+// (not its result) so concurrent first requests share one copy
+let cache = null;
+
+/**
+ * Load the store from disk (once) and return the in-memory copy
+ * @returns {Promise<Object>} Store data with a documents array
+ */
+function loadStore() {
+  if (!cache) {
+    cache = store.read()
+      .then(data => {
+        const documents = data && Array.isArray(data.documents) ? data.documents : [];
+        return { documents: documents.map(withVersionHistory) };
+      })
+      .catch(error => {
+        // Try again on the next call
+        cache = null;
+        throw error;
+      });
+  }
+  return cache;
+}
+
+/**
+ * Ensure a record carries a version history (records saved before versioning
+ * become version 1 of themselves)
+ * @param {Object} document - Stored document record
+ * @returns {Object} Document with version and versions fields
+ */
+function withVersionHistory(document) {
+  if (Array.isArray(document.versions) && document.versions.length > 0) {
+    return document;
+  }
+
+  return {
+    ...document,
+    version: 1,
+    versions: [{ ...buildSnapshot(document), version: 1, createdAt: document.createdAt }]
+  };
+}
+
+/**
+ * Build the versioned part of a document from incoming data
+ * @param {Object} data - Document data
+ * @returns {Object} Snapshot of the document content
+ */
+function buildSnapshot(data) {
+  return {
+    title: data.title,
+    author: data.author || null,
+    description: data.description || null,
+    content: data.content || '',
+    sections: data.sections || [],
+    filename: data.filename,
+    images: (data.images || []).map(image => ({
+      url: image.url,
+      caption: image.caption || null,
+      filename: image.filename || path.basename(image.url || '')
+    })),
+    language: data.language || null,
+    source: data.source || 'generate'
+  };
+}
+
+/**
+ * Persist the in-memory store to disk
+ * @returns {Promise<void>}
+ */
+async function persistStore() {
+  return store.write(await loadStore());
+}
+
+/**
+ * Build the list representation of a document (without the heavy fields)
+ * @param {Object} document - Stored document record
+ * @returns {Object} Document summary
+ */
+function toSummary(document) {
+  return {
+    id: document.id,
+    title: document.title,
+    author: document.author,
+    filename: document.filename,
+    source: document.source,
+    sectionCount: document.sections.length,
+    imageCount: document.images.length,
+    version: document.version,
+    versionCount: document.versions.length,
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt
+  };
+}
+
+/**
+ * Build the list representation of a single version
+ * @param {Object} version - Version snapshot
+ * @returns {Object} Version summary
+ */
+function toVersionSummary(version) {
+  return {
+    version: version.version,
+    title: version.title,
+    author: version.author,
+    filename: version.filename,
+    source: version.source,
+    sectionCount: version.sections.length,
+    imageCount: version.images.length,
+    createdAt: version.createdAt
+  };
+}
+
+/**
+ * Save a document record. When data.documentId is given the content is added
+ * as a new version of that document, otherwise a new document is created.
+ * @param {Object} data - Document data
+ * @param {string} data.documentId - Existing document id to add a version to (optional)
+ * @param {string} data.title - Document title
+ * @param {string} data.author - Document author
+ * @param {string} data.description - Original description sent by the user
+ * @param {string} data.content - Generated content
+ * @param {Array} data.sections - Parsed sections ({ type, content, body })
+ * @param {string} data.filename - Generated .docx filename
+ * @param {Array} data.images - Image references ({ url, caption, filename })
+ * @param {string} data.source - Route that produced the document
+ * @returns {Promise<Object>} The stored document
+ */
+async function saveDocument(data) {
+  try {
+    const store = await loadStore();
+    const now = new Date().toISOString();
+    const snapshot = buildSnapshot(data);
+
+    if (data.documentId) {
+      const existing = store.documents.find(document => document.id === data.documentId);
+      if (!existing) {
+        throw new Error(`Document ${data.documentId} not found`);
+      }
+
+      const version = existing.version + 1;
+      Object.assign(existing, snapshot, { version, updatedAt: now });
+      existing.versions.push({ ...snapshot, version, createdAt: now });
+      await persistStore();
+
+      return existing;
+    }
+
+    const document = {
+      id: uuidv4(),
+      ...snapshot,
+      version: 1,
+      versions: [{ ...snapshot, version: 1, createdAt: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    store.documents.push(document);
+    await persistStore();
+
+    return document;
+  } catch (error) {
+    console.error('Document save error:', error);
+    throw new Error(`Failed to save document: ${error.message}`);
+  }
+}
+
+/**
+ * Get a document by id
+ * @param {string} id - Document id
+ * @returns {Promise<Object|null>} The document, or null when not found
+ */
+async function getDocument(id) {
+  const store = await loadStore();
+  return store.documents.find(document => document.id === id) || null;
+}
+
+/**
+ * Get every stored document (latest version of each)
+ * @returns {Promise<Array>} All documents
+ */
+async function getAllDocuments() {
+  const store = await loadStore();
+  return [...store.documents];
+}
+
+/**
+ * Find documents that reference an image in any of their versions
+ * @param {string} filename - Image filename
+ * @returns {Promise<Array>} References ({ id, title, versions })
+ */
+async function findImageReferences(filename) {
+  const store = await loadStore();
+  const references = [];
+
+  for (const document of store.documents) {
+    const versions = document.versions
+      .filter(version => version.images.some(image => image.filename === filename))
+      .map(version => version.version);
+
+    if (versions.length > 0) {
+      references.push({ id: document.id, title: document.title, versions });
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Drop all but the most recent versions of each document
+ * @param {number} keepVersions - Number of most recent versions to keep per document
+ * @returns {Promise<number>} Number of versions removed
+ */
+async function pruneVersions(keepVersions) {
+  try {
+    const store = await loadStore();
+    let removed = 0;
+
+    for (const document of store.documents) {
+      const excess = document.versions.length - Math.max(keepVersions, 1);
+      if (excess > 0) {
+        document.versions.splice(0, excess);
+        removed += excess;
+      }
+    }
+
+    if (removed > 0) {
+      await persistStore();
+    }
+
+    return removed;
+  } catch (error) {
+    console.error('Version prune error:', error);
+    throw new Error(`Failed to prune document versions: ${error.message}`);
+  }
+}
+
+/**
+ * List the versions of a document, oldest first
+ * @param {string} id - Document id
+ * @returns {Promise<Array|null>} Version summaries, or null when the document is not found
+ */
+async function listVersions(id) {
+  const document = await getDocument(id);
+  return document ? document.versions.map(toVersionSummary) : null;
+}
+
+/**
+ * Get a single version of a document
+ * @param {string} id - Document id
+ * @param {number} versionNumber - Version number (1-based)
+ * @returns {Promise<Object|null>} The version snapshot, or null when not found
+ */
+async function getVersion(id, versionNumber) {
+  const document = await getDocument(id);
+  if (!document) {
+    return null;
+  }
+  return document.versions.find(version => version.version === parseInt(versionNumber)) || null;
+}
+
+/**
+ * List documents with pagination and sorting
+ * @param {Object} options - Listing options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Page size (max 100)
+ * @param {string} options.sortBy - One of createdAt, updatedAt, title, author
+ * @param {string} options.order - asc or desc
+ * @returns {Promise<Object>} Document summaries and pagination info
+ */
+async function listDocuments(options = {}) {
+  const store = await loadStore();
+
+  const page = Math.max(parseInt(options.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+  const sortBy = SORTABLE_FIELDS.includes(options.sortBy) ? options.sortBy : 'createdAt';
+  const order = options.order === 'asc' ? 'asc' : 'desc';
+
+  const sorted = [...store.documents].sort((a, b) => {
+    const left = (a[sortBy] || '').toString();
+    const right = (b[sortBy] || '').toString();
+    const comparison = left.localeCompare(right);
+    return order === 'asc' ? comparison : -comparison;
+  });
+
+  const total = sorted.length;
+  const start = (page - 1) * limit;
+
+  return {
+    documentations: sorted.slice(start, start + limit).map(toSummary),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      sortBy,
+      order
+    }
+  };
+}
+
+module.exports = {
+  saveDocument,
+  getDocument,
+  getAllDocuments,
+  findImageReferences,
+  listDocuments,
+  listVersions,
+  getVersion,
+  pruneVersions
+};
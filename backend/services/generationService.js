@@ -0,0 +1,200 @@
+const { generateDocumentation } = require('./openaiService');
+const { generateWordDocument, saveWordDocument, parseMarkdownContent } = require('./wordService');
+const { captionStoredImage } = require('./imageService');
+const { extractSectionsFromContent } = require('./sectionProcessor');
+const { IMAGE_CAPTION_CONTEXT_ITEMS } = require('../config/llm');
+const { getLocale } = require('./localeService');
+const { saveDocument } = require('./documentStore');
+const { recordUsage, summarizeUsage } = require('./usageService');
+
+/**
+ * Run the full generation pipeline: images, AI sections, Word document and
+ * document record. Progress is reported through onProgress as it happens.
+ * @param {Object} input - Generation input (the /generate request body)
+ * @param {string} input.title - Document title
+ * @param {string} input.description - Tagged description
+ * @param {Array} input.images - Images to upload
+ * @param {string} input.author - Document author
+ * @param {Object|string} input.logo - Logo ({ base64 } or base64 string)
+ * @param {string} input.documentId - Existing document to add a version to (optional)
+ * @param {string} input.language - Output language (pt-BR, en-US, es-ES; defaults to DEFAULT_LANGUAGE)
+ * @param {Object} input.promptVariables - Extra prompt template variables (audience, language, product...)
+ * @param {Object} input.gitHistory - Commits the description was built from (set by the route)
+ * @param {boolean} input.noCache - Always call the model instead of reusing cached completions
+ * @param {Object} options - Pipeline options
+ * @param {Function} options.onProgress - Called with progress events ({ stage, status, ... })
+ * @param {AbortSignal} options.signal - Cancels the generation; nothing is saved once aborted
+ * @returns {Promise<Object>} The /generate response
+ */
+async function runGeneration(input, { onProgress = () => {}, signal } = {}) {
+  // Every completion made for this document; recorded in the usage ledger at the end
+  const usageLog = [];
+  let response;
+
+  try {
+    response = await generateAndSave(input, { onProgress, signal, usageLog });
+  } finally {
+    // Failed and cancelled generations still consumed tokens
+    await recordUsage(usageLog, { author: input.author, title: input.title, documentId: response ? response.id : null })
+      .catch(error => console.error('Usage recording error:', error.message));
+  }
+
+  return response;
+}
+
+/**
+ * Pick the description items shown to the caption model next to an image:
+ * items that mention the image's file name, or else the items at the same
+ * relative position in the description as the image in the image list
+ * @param {Array<string>} items - Description items
+ * @param {Object} image - Image ({ filename, originalname })
+ * @param {number} index - Image index
+ * @param {number} total - Number of images
+ * @returns {Array<string>} Nearby items
+ */
+function nearbyItems(items, image, index, total) {
+  if (items.length <= IMAGE_CAPTION_CONTEXT_ITEMS) {
+    return items;
+  }
+
+  const names = [image.originalname, image.filename].filter(Boolean).map(name => name.toLowerCase());
+  let center = items.findIndex(item => names.some(name => item.toLowerCase().includes(name)));
+  if (center === -1) {
+    center = Math.round((index / Math.max(total - 1, 1)) * (items.length - 1));
+  }
+
+  const start = Math.min(
+    Math.max(center - Math.floor(IMAGE_CAPTION_CONTEXT_ITEMS / 2), 0),
+    items.length - IMAGE_CAPTION_CONTEXT_ITEMS
+  );
+  return items.slice(start, start + IMAGE_CAPTION_CONTEXT_ITEMS);
+}
+
+/**
+ * Generation pipeline behind runGeneration
+ * @param {Object} input - Generation input (see runGeneration)
+ * @param {Object} options - Pipeline options
+ * @param {Function} options.onProgress - Called with progress events
+ * @param {AbortSignal} options.signal - Cancels the generation
+ * @param {Array} options.usageLog - Collects the token usage of every completion
+ * @returns {Promise<Object>} The /generate response
+ */
+async function generateAndSave(input, { onProgress, signal, usageLog }) {
+  const { title, description, images, author, documentId } = input;
+  const locale = getLocale(input.language);
+
+  // The output language drives the prompts unless a template variable overrides it
+  const promptVariables = { language: locale.promptLanguage, ...input.promptVariables };
+
+  // Process images if provided
+  let processedImages = [];
+  if (images && images.length > 0) {
+    signal?.throwIfAborted();
+    onProgress({ stage: 'images', status: 'start', total: images.length });
+
+    // Captions see the document title and the description items around each image
+    const items = extractSectionsFromContent(description || '').map(section => section.content.split('\n')[0]);
+
+    try {
+      processedImages = await Promise.all(
+        images.map(async (image, index) => {
+          const captionOptions = {
+            promptVariables,
+            usageLog,
+            signal,
+            context: { title, items: nearbyItems(items, image, index, images.length) },
+            onProgress: (event) => onProgress({ ...event, index, total: images.length })
+          };
+
+          // Images were uploaded through /api/images; those uploaded without a caption
+          // (?caption=false) are captioned now, with the document context
+          const uploadedImage = image.caption ? image : await captionStoredImage(image, captionOptions);
+          return {
+            url: uploadedImage.url,
+            caption: uploadedImage.caption || `Image ${index + 1}`,
+            filename: uploadedImage.filename,
+            position: index
+          };
+        })
+      );
+    } catch (imageError) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      console.error('Image processing error:', imageError);
+      imageError.stage = 'images';
+      throw imageError;
+    }
+    onProgress({ stage: 'images', status: 'done', total: images.length });
+  }
+
+  // Generate documentation using AI
+  const documentation = await generateDocumentation({
+    title,
+    description,
+    images: processedImages,
+    author,
+    language: locale.language,
+    promptVariables
+  }, { onProgress, signal, usageLog, noCache: input.noCache === true || input.noCache === 'true' });
+
+  // Handle logo from request (if present)
+  let logo = null;
+  if (input.logo && input.logo.base64) {
+    logo = input.logo.base64;
+  } else if (input.logo) {
+    logo = input.logo;
+  }
+
+  // Generate Word document and filename
+  signal?.throwIfAborted();
+  onProgress({ stage: 'word', status: 'start' });
+  const buffer = await generateWordDocument({
+    title,
+    content: documentation.content,
+    images: processedImages,
+    author,
+    logo: logo || null,
+    language: locale.language
+  });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filename = `${title.replace(/[^a-zA-Z0-9]/g, '_')}_${timestamp}.docx`;
+  signal?.throwIfAborted();
+  await saveWordDocument(buffer, filename);
+  onProgress({ stage: 'word', status: 'done', filename });
+
+  // Persist the document record
+  const storedDocument = await saveDocument({
+    documentId,
+    title,
+    author,
+    description,
+    content: documentation.content,
+    sections: parseMarkdownContent(documentation.content),
+    filename,
+    images: processedImages,
+    language: locale.language,
+    source: 'generate'
+  });
+
+  return {
+    success: true,
+    id: storedDocument.id,
+    version: storedDocument.version,
+    documentation,
+    filename,
+    metadata: {
+      title,
+      language: locale.language,
+      generatedAt: new Date().toISOString(),
+      imageCount: processedImages.length,
+      cache: documentation.cache,
+      usage: summarizeUsage(usageLog),
+      ...(input.gitHistory ? { git: input.gitHistory } : {})
+    }
+  };
+}
+
+module.exports = {
+  runGeneration
+};
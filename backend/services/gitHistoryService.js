@@ -0,0 +1,249 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { GIT_REPOS_ROOT, GIT_LOG_MAX_COUNT, GIT_LOG_TIMEOUT } = require('../config/git');
+const { resolveTag } = require('./sectionTypeRegistry');
+
+// Conventional-commit types mapped to section type ids; resolveTag turns them into description tags
+const COMMIT_TYPE_SECTIONS = {
+  feat: 'feature',
+  feature: 'feature',
+  fix: 'bugfix',
+  bugfix: 'bugfix',
+  perf: 'performance',
+  security: 'security',
+  sec: 'security',
+  docs: 'resource',
+  deprecate: 'deprecated',
+  deprecation: 'deprecated'
+};
+
+// "type(scope)!: subject"
+const CONVENTIONAL_PATTERN = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+
+// Ref ranges such as v1.2.0..v1.3.0, main...feature/x or HEAD~10..HEAD (never an option)
+const REF_RANGE_PATTERN = /^[\w./~^@{}-]+(\.{2,3}[\w./~^@{}-]+)?$/;
+
+// Field and record separators of the format used when reading a repository
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+
+/**
+ * Parse raw `git log` output: the default (medium/full/fuller) formats and --oneline
+ * @param {string} raw - git log output
+ * @returns {Array} Commits ({ hash, subject, body, merge })
+ */
+function parseGitLog(raw) {
+  const lines = (raw || '').replace(/\r\n/g, '\n').split('\n');
+
+  // --oneline: "<hash> <subject>" on every line
+  if (!lines.some(line => /^commit [0-9a-f]{7,40}\b/.test(line))) {
+    return lines
+      .map(line => line.match(/^([0-9a-f]{7,40})\s+(?:\([^)]*\)\s+)?(.+)$/))
+      .filter(Boolean)
+      .map(([, hash, subject]) => ({
+        hash,
+        subject: subject.trim(),
+        body: '',
+        merge: /^Merge (branch|pull request|remote-tracking branch|tag) /.test(subject)
+      }));
+  }
+
+  const commits = [];
+  let current = null;
+
+  for (const line of lines) {
+    const header = line.match(/^commit ([0-9a-f]{7,40})\b/);
+    if (header) {
+      current = { hash: header[1], message: [], merge: false };
+      commits.push(current);
+    } else if (current && /^Merge:\s/.test(line) && current.message.length === 0) {
+      current.merge = true;
+    } else if (current && line.startsWith('    ')) {
+      current.message.push(line.slice(4));
+    }
+  }
+
+  return commits.map(({ hash, message, merge }) => {
+    const [subject = '', ...body] = message;
+    return { hash, subject: subject.trim(), body: body.join('\n').trim(), merge };
+  });
+}
+
+/**
+ * Check that a path stays inside a root directory
+ * @param {string} root - Root directory
+ * @param {string} target - Path to check
+ * @returns {boolean} True when target is the root or below it
+ */
+function isInside(root, target) {
+  const relativePath = path.relative(root, target);
+  return !(relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath));
+}
+
+/**
+ * Resolve a repository path under GIT_REPOS_ROOT. Symlinks are followed before
+ * the check, so a link inside the root cannot point outside it
+ * @param {string} repoPath - Path of the repository, relative to GIT_REPOS_ROOT
+ * @returns {Promise<string>} Real path of the repository
+ */
+async function resolveRepoPath(repoPath) {
+  const resolvedPath = path.resolve(GIT_REPOS_ROOT, repoPath || '');
+  if (!isInside(path.resolve(GIT_REPOS_ROOT), resolvedPath)) {
+    throw new Error(`Repository must be inside ${GIT_REPOS_ROOT}`);
+  }
+  if (!await fs.pathExists(resolvedPath)) {
+    throw new Error(`Repository not found: ${repoPath}`);
+  }
+
+  const [realRoot, realPath] = await Promise.all([fs.realpath(GIT_REPOS_ROOT), fs.realpath(resolvedPath)]);
+  if (!isInside(realRoot, realPath)) {
+    throw new Error(`Repository must be inside ${GIT_REPOS_ROOT}`);
+  }
+
+  return realPath;
+}
+
+/**
+ * Read the commits of a local repository
+ * @param {string} repoPath - Path of the repository
+ * @param {string} range - Ref range (e.g. v1.2.0..v1.3.0)
+ * @returns {Promise<Array>} Commits ({ hash, subject, body, merge }), newest first
+ */
+async function readGitLog(repoPath, range) {
+  if (!range || !REF_RANGE_PATTERN.test(range) || range.startsWith('-')) {
+    throw new Error(`Invalid ref range: ${range}`);
+  }
+
+  // Without a root any caller could read the history of any repository on the host
+  if (!GIT_REPOS_ROOT) {
+    throw new Error('Reading local repositories is disabled (set GIT_REPOS_ROOT)');
+  }
+
+  const resolvedPath = await resolveRepoPath(repoPath);
+
+  const args = [
+    '-C', resolvedPath,
+    'log',
+    '--no-color',
+    `--max-count=${GIT_LOG_MAX_COUNT}`,
+    `--format=%H${FIELD_SEPARATOR}%P${FIELD_SEPARATOR}%s${FIELD_SEPARATOR}%b${RECORD_SEPARATOR}`,
+    range,
+    '--'
+  ];
+
+  const output = await new Promise((resolve, reject) => {
+    execFile('git', args, { timeout: GIT_LOG_TIMEOUT, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error((stderr || error.message).trim()));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+
+  return output
+    .split(RECORD_SEPARATOR)
+    .map(record => record.replace(/^\n/, ''))
+    .filter(record => record.trim())
+    .map(record => {
+      const [hash, parents, subject, body] = record.split(FIELD_SEPARATOR);
+      return {
+        hash,
+        subject: subject.trim(),
+        body: (body || '').trim(),
+        merge: parents.trim().split(' ').length > 1
+      };
+    });
+}
+
+/**
+ * Classify a commit by its conventional-commit prefix
+ * @param {Object} commit - Commit ({ hash, subject, merge })
+ * @returns {Object} { section, text } for included commits, { reason } for dropped ones
+ */
+function classifyCommit(commit) {
+  if (commit.merge) {
+    return { reason: 'merge commit' };
+  }
+
+  const match = commit.subject.match(CONVENTIONAL_PATTERN);
+  if (!match) {
+    return { reason: 'not a conventional commit' };
+  }
+
+  const [, rawType, scope, , subject] = match;
+  const type = rawType.toLowerCase();
+  if (type === 'chore') {
+    return { reason: 'chore' };
+  }
+
+  const section = resolveTag(COMMIT_TYPE_SECTIONS[type]);
+  if (!section) {
+    return { reason: `unmapped type: ${type}` };
+  }
+
+  const shortHash = commit.hash.slice(0, 7);
+  return {
+    section,
+    text: `${scope ? `${scope}: ` : ''}${subject.trim()} (${shortHash})`
+  };
+}
+
+/**
+ * Turn commits into a tagged description ([funcionalidade], [bug], ...).
+ * Merge commits, chores and commits without a mapped prefix are dropped;
+ * the short hash stays in each item as its reference.
+ * @param {Array} commits - Commits from parseGitLog or readGitLog (newest first)
+ * @returns {Object} { description, included, skipped }
+ */
+function commitsToDescription(commits) {
+  const lines = [];
+  const included = [];
+  const skipped = [];
+
+  // Oldest first reads like the history of the release
+  for (const commit of [...commits].reverse()) {
+    const result = classifyCommit(commit);
+    if (result.section) {
+      lines.push(`[${result.section}] ${result.text}`);
+      included.push({ hash: commit.hash, subject: commit.subject, section: result.section });
+    } else {
+      skipped.push({ hash: commit.hash, subject: commit.subject, reason: result.reason });
+    }
+  }
+
+  return {
+    description: lines.join('\n'),
+    included,
+    skipped
+  };
+}
+
+/**
+ * Build a generation description from git history
+ * @param {Object} source - Either { log } with raw git log output or { repoPath, range }
+ * @returns {Promise<Object>} { description, included, skipped, range }
+ */
+async function describeGitHistory(source) {
+  try {
+    const commits = source.log
+      ? parseGitLog(source.log)
+      : await readGitLog(source.repoPath, source.range);
+
+    return {
+      ...commitsToDescription(commits),
+      range: source.log ? null : source.range
+    };
+  } catch (error) {
+    console.error('Git history error:', error);
+    throw new Error(`Failed to read git history: ${error.message}`);
+  }
+}
+
+module.exports = {
+  parseGitLog,
+  readGitLog,
+  commitsToDescription,
+  describeGitHistory
+};
@@ -1,26 +1,45 @@
-const fs = require('fs');
+const fs = require('fs-extra');
 const path = require('path');
 const { generateImageCaption } = require('./openaiService');
+const { getStorage } = require('./storage');
+const { LOCAL_STORAGE_DIR } = require('../config/storage');
 
 /**
- * Upload image to local storage
+ * Upload image to the configured storage provider
  * @param {Object} imageData - Image data object
  * @param {string} imageData.path - Local file path
  * @param {string} imageData.filename - Generated filename
  * @param {string} imageData.originalname - Original filename
  * @param {string} imageData.mimetype - File MIME type
  * @param {number} imageData.size - File size in bytes
+ * @param {Object} options - Upload options
+ * @param {Function} options.onProgress - Called with progress events (upload, caption)
+ * @param {Object} options.promptVariables - Extra caption prompt variables (audience, language, product...)
+ * @param {Array} options.usageLog - Collects the caption's token usage (recorded right away when omitted)
+ * @param {Object} options.context - Document context for the caption ({ title, items })
+ * @param {AbortSignal} options.signal - Cancels the upload; the image is not stored once aborted
+ * @param {boolean} options.caption - Caption the image now; pass false when generation will caption it
+ *   with the document context (caption is then null)
  * @returns {Promise<Object>} Uploaded image information
  */
-async function uploadImage(imageData) {
+async function uploadImage(imageData, { onProgress = () => {}, promptVariables, usageLog, context, signal, caption: withCaption = true } = {}) {
+  const { path: filePath, filename, originalname, mimetype, size } = imageData;
+
   try {
-    const { path: filePath, filename, originalname, mimetype, size } = imageData;
+    const data = await fs.readFile(filePath);
 
-    // Upload to local storage
-    const uploadedImage = await storeLocally(filePath, filename);
+    // Generate caption for the image (before storing it, so a cancelled upload leaves nothing behind)
+    let caption = null;
+    if (withCaption) {
+      onProgress({ stage: 'caption', status: 'start', filename });
+      caption = await generateImageCaption(originalname, { image: data, context, variables: promptVariables, usageLog, signal });
+      onProgress({ stage: 'caption', status: 'done', filename, caption });
+    }
 
-    // Generate caption for the image
-    const caption = await generateImageCaption(originalname);
+    // Upload to the storage provider
+    signal?.throwIfAborted();
+    const uploadedImage = await storeImage(filePath, data, filename, mimetype);
+    onProgress({ stage: 'image', status: 'uploaded', filename });
 
     return {
       url: uploadedImage.url,
@@ -33,49 +52,112 @@ async function uploadImage(imageData) {
     };
 
   } catch (error) {
+    if (signal?.aborted) {
+      // Drop the multer upload of the abandoned request
+      await fs.remove(filePath).catch(() => {});
+      throw signal.reason;
+    }
     console.error('Image upload error:', error);
     throw new Error(`Failed to upload image: ${error.message}`);
   }
 }
 
 /**
- * Store image locally
+ * Caption an image that is already in storage (e.g. uploaded before the
+ * document was generated), now that the document context is known
+ * @param {Object} image - Stored image ({ filename, originalname, caption })
+ * @param {Object} options - Caption options
+ * @param {Function} options.onProgress - Called with caption progress events
+ * @param {Object} options.promptVariables - Extra caption prompt variables
+ * @param {Array} options.usageLog - Collects the caption's token usage
+ * @param {Object} options.context - Document context for the caption ({ title, items })
+ * @param {AbortSignal} options.signal - Aborts the caption call
+ * @returns {Promise<Object>} Image information with the new caption
  */
-async function storeLocally(filePath, filename) {
+async function captionStoredImage(image, { onProgress = () => {}, promptVariables, usageLog, context, signal } = {}) {
   try {
-    // Ensure uploads directory exists
-    const uploadsDir = path.join(__dirname, '..', 'uploads');
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
+    const { filename } = image;
+    if (!filename || path.basename(filename) !== filename) {
+      throw new Error('Invalid image filename');
     }
 
-    // Copy file to uploads directory
-    const destPath = path.join(uploadsDir, filename);
-    fs.copyFileSync(filePath, destPath);
+    const storage = getStorage();
+    const data = await storage.get(filename);
+
+    onProgress({ stage: 'caption', status: 'start', filename });
+    const caption = await generateImageCaption(image.originalname || filename, {
+      image: data,
+      context,
+      variables: promptVariables,
+      usageLog,
+      signal
+    });
+    onProgress({ stage: 'caption', status: 'done', filename, caption });
+
+    return {
+      ...image,
+      url: image.url || storage.getUrl(filename),
+      caption
+    };
+
+  } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    console.error('Stored image caption error:', error);
+    throw new Error(`Failed to caption image ${image.filename}: ${error.message}`);
+  }
+}
+
+/**
+ * Store image through the storage provider
+ * @param {string} filePath - Local path of the multer upload
+ * @param {Buffer} data - Image data
+ * @param {string} filename - Storage key
+ * @param {string} mimetype - File MIME type
+ */
+async function storeImage(filePath, data, filename, mimetype) {
+  try {
+    const storage = getStorage();
+    const stored = await storage.put(filename, data, { contentType: mimetype });
+
+    // The multer upload is only a temp file when the provider keeps files elsewhere
+    if (path.resolve(filePath) !== path.resolve(LOCAL_STORAGE_DIR, filename) || storage.name !== 'local') {
+      await fs.remove(filePath);
+    }
 
     return {
-      url: `/uploads/${filename}`,
-      provider: 'local'
+      url: stored.url,
+      provider: storage.name
     };
 
   } catch (error) {
-    console.error('Local storage error:', error);
+    console.error('Image storage error:', error);
     throw error;
   }
 }
 
 /**
- * Delete image from local storage
+ * Resolve the storage driver for a provider name
+ * @param {string} provider - Storage provider name
+ * @returns {Object} Storage driver
+ */
+function storageFor(provider) {
+  const storage = getStorage();
+  if (provider && provider !== storage.name) {
+    throw new Error(`Unsupported storage provider: ${provider}`);
+  }
+  return storage;
+}
+
+/**
+ * Delete image from storage
  * @param {string} filename - Filename to delete
- * @param {string} provider - Storage provider (should be 'local')
+ * @param {string} provider - Storage provider (defaults to the configured one)
  */
 async function deleteImage(filename, provider) {
   try {
-    if (provider !== 'local') {
-      throw new Error(`Unsupported storage provider: ${provider}`);
-    }
-
-    await deleteFromLocal(filename);
+    await storageFor(provider).delete(filename);
 
     return { success: true, message: 'Image deleted successfully' };
 
@@ -86,17 +168,28 @@ async function deleteImage(filename, provider) {
 }
 
 /**
- * Delete image from local storage
+ * Check whether an image exists in storage
+ * @param {string} filename - Filename to look up
+ * @param {string} provider - Storage provider (defaults to the configured one)
+ * @returns {Promise<boolean>} Whether the image exists
  */
-async function deleteFromLocal(filename) {
-  const filePath = path.join(__dirname, '..', 'uploads', filename);
-  
-  if (fs.existsSync(filePath)) {
-    fs.unlinkSync(filePath);
-  }
+async function imageExists(filename, provider) {
+  return storageFor(provider).exists(filename);
+}
+
+/**
+ * Read an image from storage
+ * @param {string} filename - Filename to read
+ * @returns {Promise<Buffer>} Image data
+ */
+async function getImage(filename) {
+  return getStorage().get(filename);
 }
 
 module.exports = {
   uploadImage,
-  deleteImage
+  captionStoredImage,
+  deleteImage,
+  imageExists,
+  getImage
 }; 
\ No newline at end of file
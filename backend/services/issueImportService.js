@@ -0,0 +1,207 @@
+const { IMPORT_MAPPING, JIRA_BASE_URL } = require('../config/importMapping');
+const { resolveTag } = require('./sectionTypeRegistry');
+
+const IMPORT_FORMATS = ['jira-csv', 'github-json'];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, newlines inside quotes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Collapse an issue title to a single line (descriptions are line-based)
+ * @param {string} title - Issue title
+ * @returns {string} Single-line title
+ */
+function toSingleLine(title) {
+  return (title || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read issues from a Jira CSV export. Jira repeats the "Labels" column once per label.
+ * @param {string} text - CSV export
+ * @returns {Array} Issues ({ key, title, type, labels, url })
+ */
+function parseJiraCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const column = (name) => columns.indexOf(name);
+  const summaryIndex = column('summary');
+  const keyIndex = column('issue key');
+  if (summaryIndex === -1 || keyIndex === -1) {
+    throw new Error('Jira CSV must have "Summary" and "Issue key" columns');
+  }
+
+  const typeIndex = column('issue type');
+  const labelIndexes = columns.map((name, index) => (name === 'labels' ? index : -1)).filter(index => index !== -1);
+
+  return rows.map(fields => {
+    const key = (fields[keyIndex] || '').trim();
+    return {
+      key,
+      title: toSingleLine(fields[summaryIndex]),
+      type: typeIndex !== -1 ? (fields[typeIndex] || '').trim() : '',
+      labels: labelIndexes.map(index => (fields[index] || '').trim()).filter(Boolean),
+      url: JIRA_BASE_URL && key ? `${JIRA_BASE_URL.replace(/\/$/, '')}/browse/${key}` : null
+    };
+  });
+}
+
+/**
+ * Read issues from a GitHub issues JSON export (REST API or `gh issue list --json`)
+ * @param {string|Array} data - JSON text or parsed array
+ * @returns {Array} Issues ({ key, title, type, labels, url })
+ */
+function parseGithubJson(data) {
+  const issues = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!Array.isArray(issues)) {
+    throw new Error('GitHub export must be a JSON array of issues');
+  }
+
+  return issues
+    // The REST API lists pull requests as issues too
+    .filter(issue => !issue.pull_request)
+    .map(issue => ({
+      key: `#${issue.number}`,
+      title: toSingleLine(issue.title),
+      type: issue.type ? (issue.type.name || issue.type) : '',
+      labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)).filter(Boolean),
+      url: issue.html_url || (issue.url && !issue.url.includes('api.github.com') ? issue.url : null)
+    }));
+}
+
+/**
+ * Find the section of an issue in the mapping table
+ * @param {Object} issue - Issue ({ type, labels })
+ * @param {Object} mapping - Mapping table
+ * @returns {Object} { section } or { reason } when the issue is left out
+ */
+function mapIssue(issue, mapping) {
+  const labels = issue.labels.map(label => label.toLowerCase());
+  const skipLabels = (mapping.skipLabels || []).map(label => label.toLowerCase());
+
+  const skipLabel = labels.find(label => skipLabels.includes(label));
+  if (skipLabel) {
+    return { reason: `label: ${skipLabel}` };
+  }
+
+  const section = labels.map(label => mapping.labels[label]).find(Boolean) ||
+    mapping.issueTypes[(issue.type || '').toLowerCase()] ||
+    mapping.defaultSection;
+  if (section) {
+    const tag = resolveTag(section);
+    return tag ? { section: tag } : { reason: `unknown section type: ${section}` };
+  }
+
+  return { reason: `no mapping for type "${issue.type || '-'}" or labels [${issue.labels.join(', ')}]` };
+}
+
+/**
+ * Detect the format of an export
+ * @param {string} content - Export content
+ * @returns {string} jira-csv or github-json
+ */
+function detectFormat(content) {
+  return /^\s*[[{]/.test(content) ? 'github-json' : 'jira-csv';
+}
+
+/**
+ * Turn an issue-tracker export into a tagged description ([funcionalidade], [bug], ...)
+ * for preview. Each item keeps the issue key, linked to the issue when its URL is known.
+ * @param {string} content - Export content
+ * @param {Object} options - Import options
+ * @param {string} options.format - jira-csv or github-json (detected when omitted)
+ * @param {Object} options.mapping - Mapping table (defaults to the configured one)
+ * @returns {Object} { format, description, items, skipped }
+ */
+function importIssues(content, { format, mapping = IMPORT_MAPPING } = {}) {
+  try {
+    const selectedFormat = format || detectFormat(content);
+    if (!IMPORT_FORMATS.includes(selectedFormat)) {
+      throw new Error(`Unsupported import format: ${selectedFormat}. Use: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    const issues = selectedFormat === 'jira-csv' ? parseJiraCsv(content) : parseGithubJson(content);
+
+    const items = [];
+    const skipped = [];
+    for (const issue of issues.filter(candidate => candidate.title)) {
+      const result = mapIssue(issue, mapping);
+      if (!result.section) {
+        skipped.push({ key: issue.key, title: issue.title, reason: result.reason });
+        continue;
+      }
+
+      const reference = issue.url ? `[${issue.key}](${issue.url})` : `(${issue.key})`;
+      items.push({
+        key: issue.key,
+        url: issue.url,
+        title: issue.title,
+        section: result.section,
+        line: `[${result.section}] ${issue.title} ${reference}`
+      });
+    }
+
+    return {
+      format: selectedFormat,
+      description: items.map(item => item.line).join('\n'),
+      items,
+      skipped
+    };
+  } catch (error) {
+    console.error('Issue import error:', error);
+    throw new Error(`Failed to import issues: ${error.message}`);
+  }
+}
+
+module.exports = {
+  importIssues,
+  IMPORT_FORMATS
+};
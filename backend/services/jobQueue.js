@@ -0,0 +1,309 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { runGeneration } = require('./generationService');
+const { createJsonFileStore } = require('./jsonFileStore');
+const { getStorage } = require('./storage');
+
+const JOB_STORE_PATH = process.env.JOB_STORE_PATH || path.join(__dirname, '..', 'data', 'jobs.json');
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 1;
+// Finished jobs stay available for status polling this long (1 day), then are removed
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS) || 24 * 60 * 60 * 1000;
+// Only the latest progress events of a job are kept (one per image caption plus the stage events)
+const JOB_MAX_EVENTS = parseInt(process.env.JOB_MAX_EVENTS) || 100;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// "data:image/png;base64,...."
+const DATA_URL_PATTERN = /^data:(image\/[\w.+-]+);base64,(.+)$/s;
+
+const store = createJsonFileStore(JOB_STORE_PATH, 'job store');
+
+// In-memory copy of the queue, loaded from disk by startJobQueue
+let jobs = null;
+// Abort controllers of the running jobs, by job id
+const running = new Map();
+
+/**
+ * Load the queue from disk (once)
+ * @returns {Promise<Array>} Jobs
+ */
+async function loadJobs() {
+  if (jobs) {
+    return jobs;
+  }
+
+  const data = await store.read();
+  jobs = data && Array.isArray(data.jobs) ? data.jobs : [];
+
+  return jobs;
+}
+
+/**
+ * Persist the queue to disk
+ * @returns {Promise<void>}
+ */
+function persistJobs() {
+  // Progress events only matter while the job runs; they are not persisted
+  return store.write({ jobs: jobs.map(({ events, ...job }) => job) });
+}
+
+/**
+ * Build the public representation of a job (without its input)
+ * @param {Object} job - Job record
+ * @returns {Object} Job status
+ */
+function toStatus(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    title: job.input.title,
+    progress: job.progress || null,
+    events: job.events || [],
+    result: job.result || null,
+    error: job.error || null,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null
+  };
+}
+
+/**
+ * Update a job and persist the queue
+ * @param {Object} job - Job record
+ * @param {Object} changes - Fields to update
+ */
+async function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  await persistJobs();
+}
+
+/**
+ * Remove finished jobs older than JOB_RETENTION_MS
+ */
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  jobs = jobs.filter(job => !FINISHED_STATUSES.includes(job.status) ||
+    new Date(job.finishedAt || job.updatedAt).getTime() >= cutoff);
+}
+
+/**
+ * Build the stored input of a job. The base64 logo is moved to storage (the job
+ * keeps its key) and inline image data is dropped: images are read from storage
+ * by filename
+ * @param {string} jobId - Job id
+ * @param {Object} input - Generation input
+ * @returns {Promise<Object>} Input without binary payloads
+ */
+async function storeJobInput(jobId, input) {
+  const stored = { ...input };
+
+  if (Array.isArray(input.images)) {
+    stored.images = input.images.map(({ base64, data, ...image }) => image);
+  }
+
+  const logo = input.logo && input.logo.base64 ? input.logo.base64 : input.logo;
+  const match = typeof logo === 'string' ? logo.match(DATA_URL_PATTERN) : null;
+  if (match) {
+    const [, contentType, base64] = match;
+    const key = `job-logo-${jobId}.${contentType.split('/')[1].replace(/\W.*$/, '')}`;
+    await getStorage().put(key, Buffer.from(base64, 'base64'), { contentType });
+    stored.logo = { key, contentType };
+  }
+
+  return stored;
+}
+
+/**
+ * Rebuild the generation input of a job, reading its logo back from storage
+ * @param {Object} job - Job record
+ * @returns {Promise<Object>} Generation input
+ */
+async function loadJobInput(job) {
+  const { logo } = job.input;
+  if (!logo || !logo.key) {
+    return job.input;
+  }
+
+  try {
+    const data = await getStorage().get(logo.key);
+    return { ...job.input, logo: `data:${logo.contentType};base64,${data.toString('base64')}` };
+  } catch (error) {
+    console.error(`Logo of job ${job.id} could not be read, generating without it:`, error.message);
+    return { ...job.input, logo: null };
+  }
+}
+
+/**
+ * Finish a job: drop its input (and stored logo) except the title,
+ * prune old finished jobs and persist the queue
+ * @param {Object} job - Job record
+ * @param {Object} changes - Fields to update (status, result, error)
+ */
+async function finishJob(job, changes) {
+  const { logo } = job.input;
+  if (logo && logo.key) {
+    await getStorage().delete(logo.key)
+      .catch(error => console.error(`Failed to delete ${logo.key}:`, error.message));
+  }
+
+  pruneFinishedJobs();
+  await updateJob(job, { ...changes, input: { title: job.input.title }, finishedAt: new Date().toISOString() });
+}
+
+/**
+ * Run a single job
+ * @param {Object} job - Job record
+ */
+async function runJob(job) {
+  const controller = new AbortController();
+  running.set(job.id, controller);
+
+  try {
+    job.events = [];
+    await updateJob(job, { status: 'running', startedAt: new Date().toISOString(), attempts: job.attempts + 1 });
+
+    const result = await runGeneration(await loadJobInput(job), {
+      signal: controller.signal,
+      onProgress: (event) => {
+        job.progress = event;
+        job.events.push(event);
+        if (job.events.length > JOB_MAX_EVENTS) {
+          job.events.shift();
+        }
+      }
+    });
+
+    await finishJob(job, { status: 'completed', result });
+    console.log(`✅ Job ${job.id} completed`);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      await finishJob(job, { status: 'cancelled' });
+      console.log(`🛑 Job ${job.id} cancelled`);
+    } else {
+      console.error(`Job ${job.id} failed:`, error.message);
+      await finishJob(job, {
+        status: 'failed',
+        error: {
+          error: error.stage === 'images' ? 'Failed to process images' : 'Failed to generate documentation',
+          details: error.message
+        }
+      });
+    }
+  } finally {
+    running.delete(job.id);
+    processQueue();
+  }
+}
+
+/**
+ * Start queued jobs while there are free worker slots
+ */
+function processQueue() {
+  if (!jobs) return;
+
+  for (const job of jobs) {
+    if (running.size >= JOB_CONCURRENCY) break;
+    if (job.status === 'queued' && !running.has(job.id)) {
+      // runJob handles generation errors; this catches failures to persist the job itself
+      runJob(job).catch(error => console.error(`Job ${job.id} could not be saved:`, error.message));
+    }
+  }
+}
+
+/**
+ * Load persisted jobs and resume unfinished ones. Jobs that were running
+ * when the server stopped are queued again from the start.
+ */
+async function startJobQueue() {
+  await loadJobs();
+  pruneFinishedJobs();
+
+  const interrupted = jobs.filter(job => job.status === 'running' || job.status === 'cancelling');
+  for (const job of interrupted) {
+    if (job.status === 'cancelling') {
+      await finishJob(job, { status: 'cancelled' });
+    } else {
+      job.status = 'queued';
+    }
+  }
+  await persistJobs();
+
+  const pending = jobs.filter(job => job.status === 'queued').length;
+  if (pending > 0) {
+    console.log(`📋 Resuming ${pending} queued generation job(s)`);
+  }
+
+  processQueue();
+}
+
+/**
+ * Queue a generation job
+ * @param {Object} input - Generation input (the /generate request body)
+ * @returns {Promise<Object>} Job status
+ */
+async function createJob(input) {
+  await loadJobs();
+  const now = new Date().toISOString();
+
+  const id = uuidv4();
+  const job = {
+    id,
+    status: 'queued',
+    input: await storeJobInput(id, input),
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs.push(job);
+  await persistJobs();
+  processQueue();
+
+  return toStatus(job);
+}
+
+/**
+ * Get the status of a job
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} Job status, or null when not found
+ */
+async function getJob(id) {
+  await loadJobs();
+  const job = jobs.find(candidate => candidate.id === id);
+  return job ? toStatus(job) : null;
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled immediately; running jobs have
+ * their in-flight LLM calls aborted.
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} Job status, or null when not found
+ */
+async function cancelJob(id) {
+  await loadJobs();
+  const job = jobs.find(candidate => candidate.id === id);
+  if (!job) {
+    return null;
+  }
+
+  if (FINISHED_STATUSES.includes(job.status)) {
+    return toStatus(job);
+  }
+
+  if (running.has(id)) {
+    running.get(id).abort();
+    await updateJob(job, { status: 'cancelling' });
+  } else {
+    await finishJob(job, { status: 'cancelled' });
+  }
+
+  return toStatus(job);
+}
+
+module.exports = {
+  startJobQueue,
+  createJob,
+  getJob,
+  cancelJob
+};
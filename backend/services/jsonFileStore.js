@@ -0,0 +1,50 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * JSON file backing the data stores (documents, jobs, usage ledger). Writes
+ * are atomic (temp file + rename) and serialized, so concurrent updates never
+ * clobber each other; callers keep their own in-memory copy.
+ * @param {string} filePath - JSON file path
+ * @param {string} name - Store name used in logs and errors (e.g. 'document store')
+ * @returns {Object} Store ({ read, write })
+ */
+function createJsonFileStore(filePath, name) {
+  let writeQueue = Promise.resolve();
+
+  return {
+    /**
+     * Read the file
+     * @returns {Promise<Object|null>} Parsed data, or null when the file does not exist yet
+     */
+    async read() {
+      try {
+        return await fs.pathExists(filePath) ? await fs.readJson(filePath) : null;
+      } catch (error) {
+        console.error(`Error loading ${name}:`, error);
+        throw new Error(`Failed to load ${name}: ${error.message}`);
+      }
+    },
+
+    /**
+     * Write the file atomically, after any write already queued
+     * @param {Object} data - Data to store
+     * @returns {Promise<void>}
+     */
+    write(data) {
+      const run = async () => {
+        await fs.ensureDir(path.dirname(filePath));
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeJson(tempPath, data, { spaces: 2 });
+        await fs.move(tempPath, filePath, { overwrite: true });
+      };
+
+      writeQueue = writeQueue.then(run, run);
+      return writeQueue;
+    }
+  };
+}
+
+module.exports = {
+  createJsonFileStore
+};
@@ -0,0 +1,66 @@
+const { LLM_CIRCUIT_FAILURE_THRESHOLD, LLM_CIRCUIT_COOLDOWN_MS } = require('../../config/llm');
+
+// Consecutive failures and cool-down end of each route, by "provider/model". Keyed per model so a
+// failing primary model does not block same-provider fallbacks (e.g. openrouter:anthropic/claude-3-haiku)
+const circuits = new Map();
+
+/**
+ * Whether calls to a route are currently blocked. Once the cool-down ends
+ * the next call goes through as a trial; a failure reopens the circuit.
+ * @param {string} key - Route key ("provider/model")
+ * @returns {boolean} True while the route is cooling down
+ */
+function isCircuitOpen(key) {
+  const circuit = circuits.get(key);
+  return Boolean(circuit && circuit.openUntil > Date.now());
+}
+
+/**
+ * Record a successful call, closing the route's circuit
+ * @param {string} key - Route key ("provider/model")
+ */
+function recordSuccess(key) {
+  if (circuits.has(key)) {
+    console.log(`🔌 LLM route ${key} recovered`);
+    circuits.delete(key);
+  }
+}
+
+/**
+ * Record a failed call; the circuit opens after repeated failures
+ * @param {string} key - Route key ("provider/model")
+ */
+function recordFailure(key) {
+  const circuit = circuits.get(key) || { failures: 0, openUntil: 0 };
+  circuit.failures++;
+
+  if (circuit.failures >= LLM_CIRCUIT_FAILURE_THRESHOLD) {
+    circuit.openUntil = Date.now() + LLM_CIRCUIT_COOLDOWN_MS;
+    console.warn(`🔌 LLM route ${key} failed ${circuit.failures} times in a row, skipping it for ${LLM_CIRCUIT_COOLDOWN_MS / 1000}s`);
+  }
+
+  circuits.set(key, circuit);
+}
+
+/**
+ * Get the state of every route with recent failures
+ * @returns {Object} Circuit state by route key ({ failures, open, openUntil })
+ */
+function getCircuitStates() {
+  const states = {};
+  for (const [key, circuit] of circuits) {
+    states[key] = {
+      failures: circuit.failures,
+      open: circuit.openUntil > Date.now(),
+      openUntil: circuit.openUntil ? new Date(circuit.openUntil).toISOString() : null
+    };
+  }
+  return states;
+}
+
+module.exports = {
+  isCircuitOpen,
+  recordSuccess,
+  recordFailure,
+  getCircuitStates
+};
@@ -0,0 +1,48 @@
+/**
+ * Get the text of a message (multimodal messages are arrays of parts)
+ * @param {string|Array} content - Message content
+ * @returns {string} Text parts joined by newlines
+ */
+function textOf(content) {
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+  return String(content);
+}
+
+/**
+ * Create a provider that never leaves the process. It answers with a fixed
+ * response, or echoes the last user message when none is configured.
+ * @param {Object} options - Provider options
+ * @param {string} options.response - Fixed response (optional)
+ * @returns {Object} Provider
+ */
+function createFakeProvider({ response } = {}) {
+  return {
+    name: 'fake',
+    defaultModel: 'fake-model',
+
+    // The fake model never looks at images; force vision with IMAGE_CAPTION_VISION=true
+    supportsVision() {
+      return false;
+    },
+
+    async complete({ model, messages, signal }) {
+      signal?.throwIfAborted();
+      const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+      const content = response || (lastUserMessage ? textOf(lastUserMessage.content) : '');
+
+      // Rough token counts (~4 characters per token) so usage accounting can be exercised offline
+      const promptTokens = Math.ceil(messages.reduce((sum, message) => sum + textOf(message.content).length, 0) / 4);
+      const completionTokens = Math.ceil(content.trim().length / 4);
+
+      return {
+        content: content.trim(),
+        model: model || 'fake-model',
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+      };
+    }
+  };
+}
+
+module.exports = createFakeProvider;
@@ -0,0 +1,272 @@
+const {
+  LLM_PROVIDER,
+  LLM_FALLBACKS,
+  LLM_BACKOFF_MAX_DELAY,
+  OPENROUTER_BASE_URL,
+  OPENROUTER_MODEL,
+  LOCAL_LLM_BASE_URL,
+  LOCAL_LLM_API_KEY,
+  LOCAL_LLM_MODEL,
+  FAKE_LLM_RESPONSE
+} = require('../../config/llm');
+const createOpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const createFakeProvider = require('./fakeProvider');
+const { isCircuitOpen, recordSuccess, recordFailure } = require('./circuitBreaker');
+
+const PROVIDER_NAMES = ['openrouter', 'local', 'fake'];
+
+// Providers are created on first use so unused ones need no configuration
+const providers = {};
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+function createProvider(name) {
+  switch (name) {
+    case 'openrouter':
+      if (!process.env.OPENROUTER_API_KEY) {
+        throw new Error('OPENROUTER_API_KEY environment variable is required. Please configure it in your .env file.');
+      }
+      return createOpenAICompatibleProvider({
+        name,
+        baseURL: OPENROUTER_BASE_URL,
+        apiKey: process.env.OPENROUTER_API_KEY,
+        defaultModel: OPENROUTER_MODEL,
+        defaultHeaders: {
+          'HTTP-Referer': process.env.OPENROUTER_REFERER || 'https://phosdocs.com',
+          'X-Title': 'PhosDocs - Documentation Generator'
+        }
+      });
+    case 'local':
+      return createOpenAICompatibleProvider({
+        name,
+        baseURL: LOCAL_LLM_BASE_URL,
+        apiKey: LOCAL_LLM_API_KEY,
+        defaultModel: LOCAL_LLM_MODEL
+      });
+    case 'fake':
+      return createFakeProvider({ response: FAKE_LLM_RESPONSE });
+    default:
+      throw new Error(`Unsupported LLM provider: ${name}. Use: ${PROVIDER_NAMES.join(', ')}`);
+  }
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+  if (!providers[name]) {
+    providers[name] = createProvider(name);
+  }
+  return providers[name];
+}
+
+/**
+ * Resolve which provider and model serve a route.
+ * A route is an env prefix such as SECTION_SEGURANCA or IMAGE_CAPTION; its
+ * <PREFIX>_PROVIDER and <PREFIX>_MODEL variables override the defaults, and
+ * <PREFIX>_VISION=true/false overrides whether the model accepts images.
+ * @param {string} routeKey - Env prefix of the route
+ * @returns {Object} { provider, model, vision }
+ */
+function resolveRoute(routeKey) {
+  const provider = getProvider(process.env[`${routeKey}_PROVIDER`] || LLM_PROVIDER);
+  const model = process.env[`${routeKey}_MODEL`] || provider.defaultModel;
+
+  const visionOverride = process.env[`${routeKey}_VISION`];
+  const vision = visionOverride !== undefined
+    ? visionOverride === 'true'
+    : provider.supportsVision(model);
+
+  return { provider, model, vision };
+}
+
+/**
+ * Resolve the ordered list of routes to try for a route key: the route itself
+ * followed by its fallbacks (<PREFIX>_FALLBACKS, or LLM_FALLBACKS)
+ * @param {string} routeKey - Env prefix of the route
+ * @returns {Array<Object>} Routes ({ provider, model, vision })
+ */
+function resolveChain(routeKey) {
+  const chain = [resolveRoute(routeKey)];
+  const fallbacks = (process.env[`${routeKey}_FALLBACKS`] || LLM_FALLBACKS)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of fallbacks) {
+    // Model names may contain ":" themselves (e.g. meta-llama/llama-3-8b-instruct:free)
+    const separator = entry.indexOf(':');
+    const name = separator === -1 ? entry : entry.slice(0, separator);
+    const provider = getProvider(name);
+    const model = separator === -1 ? provider.defaultModel : entry.slice(separator + 1);
+
+    if (!chain.some(route => route.provider === provider && route.model === model)) {
+      chain.push({ provider, model, vision: provider.supportsVision(model) });
+    }
+  }
+
+  return chain;
+}
+
+/**
+ * Delay before a retry: exponential in the attempt number, with jitter so
+ * concurrent callers do not retry in lockstep
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number} baseDelay - Delay after the first failure
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt, baseDelay) {
+  const delay = Math.min(baseDelay * 2 ** (attempt - 1), LLM_BACKOFF_MAX_DELAY);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Sleep for retry delays (rejects early when the signal aborts)
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} signal - Cancels the wait
+ * @returns {Promise} Promise that resolves after the specified time
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  // Long-lived signals (queued jobs) would otherwise collect one listener per retry
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Run a completion on a route, retrying with backoff and moving down the
+ * fallback chain when a route keeps failing. Routes whose circuit is open
+ * are skipped. Responses rejected by `parse` are retried on the same route
+ * with the messages returned by `correct`.
+ * @param {string} routeKey - Env prefix of the route
+ * @param {Object} options - Completion options
+ * @param {Array|Function} options.messages - Chat messages, or an async function of the route returning them
+ * @param {number} options.maxTokens - Maximum completion tokens
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.timeout - Timeout of each call in milliseconds
+ * @param {number} options.attempts - Attempts per route
+ * @param {number} options.retryDelay - Base delay between attempts
+ * @param {AbortSignal} options.signal - Aborts in-flight calls and pending retries
+ * @param {Function} options.parse - Turns the response text into the result; throws errors flagged invalidOutput
+ * @param {Function} options.correct - Builds the retry messages after an invalid response (error, content, messages)
+ * @param {Function} options.onCompletion - Called with (route, completion) for every completion, valid or not
+ * @param {string} options.label - Name of the call in logs
+ * @returns {Promise<Object>} { result, content, provider, model }
+ */
+async function completeWithFallback(routeKey, {
+  messages,
+  maxTokens,
+  temperature,
+  timeout,
+  attempts,
+  retryDelay,
+  signal,
+  parse = content => content,
+  correct,
+  onCompletion,
+  label = routeKey
+}) {
+  let lastError = null;
+
+  for (const route of resolveChain(routeKey)) {
+    const { provider, model } = route;
+    const circuitKey = `${provider.name}/${model}`;
+    if (isCircuitOpen(circuitKey)) {
+      console.warn(`Skipping ${circuitKey} for ${label}: circuit is open`);
+      continue;
+    }
+
+    let routeMessages = typeof messages === 'function' ? await messages(route) : messages;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      let timeoutId;
+      let onAbort;
+      // Per-call signal: the SDK adds abort listeners it never removes, which must not pile up on `signal`
+      const callController = new AbortController();
+      try {
+        signal?.throwIfAborted();
+        console.log(`Calling ${provider.name}/${model} for ${label} - attempt ${attempt} of ${attempts}`);
+
+        // Settles on timeout or abort even if the provider ignores the signal
+        const timeoutPromise = new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error(`API timeout after ${timeout / 1000} seconds`)), timeout);
+          onAbort = () => {
+            callController.abort(signal.reason);
+            reject(signal.reason);
+          };
+          signal?.addEventListener('abort', onAbort, { once: true });
+        });
+
+        let completion;
+        try {
+          completion = await Promise.race([
+            provider.complete({ model, messages: routeMessages, maxTokens, temperature, timeout, signal: callController.signal }),
+            timeoutPromise
+          ]);
+        } catch (error) {
+          if (!signal?.aborted) {
+            recordFailure(circuitKey);
+          }
+          throw error;
+        }
+
+        recordSuccess(circuitKey);
+        if (onCompletion) {
+          await onCompletion(route, completion);
+        }
+
+        try {
+          return { result: parse(completion.content), content: completion.content, provider: provider.name, model };
+        } catch (error) {
+          if (error.invalidOutput && correct) {
+            routeMessages = correct(error, completion.content, routeMessages);
+          }
+          throw error;
+        }
+
+      } catch (error) {
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+
+        lastError = error;
+        console.error(`Attempt ${attempt} with ${provider.name}/${model} failed for ${label}:`, error.message);
+
+        // A route that just tripped its circuit is not worth more attempts
+        if (isCircuitOpen(circuitKey)) {
+          break;
+        }
+
+        // Invalid responses are retried right away; API errors back off first
+        if (attempt < attempts && !error.invalidOutput) {
+          const delay = backoffDelay(attempt, retryDelay);
+          console.log(`Waiting ${delay}ms before next attempt...`);
+          await sleep(delay, signal);
+        }
+      } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  throw lastError || new Error(`No LLM provider available for ${label}: every route circuit is open`);
+}
+
+module.exports = {
+  getProvider,
+  resolveRoute,
+  resolveChain,
+  completeWithFallback
+};
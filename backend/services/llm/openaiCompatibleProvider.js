@@ -0,0 +1,74 @@
+const OpenAI = require('openai');
+
+// Model names known to accept image input
+const VISION_MODEL_PATTERNS = [
+  /gpt-4o/,
+  /gpt-4-turbo/,
+  /gpt-4\.1/,
+  /gpt-4-vision/,
+  /claude-3/,
+  /claude-(sonnet|opus|haiku)-4/,
+  /gemini/,
+  /llava/,
+  /pixtral/,
+  /moondream/,
+  /vision/,
+  /-vl\b/
+];
+
+/**
+ * Create a provider for any server speaking the OpenAI chat completions API
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name
+ * @param {string} options.baseURL - API base URL
+ * @param {string} options.apiKey - API key
+ * @param {string} options.defaultModel - Model used when the route names none
+ * @param {Object} options.defaultHeaders - Extra headers sent with every request
+ * @returns {Object} Provider
+ */
+function createOpenAICompatibleProvider({ name, baseURL, apiKey, defaultModel, defaultHeaders }) {
+  const client = new OpenAI({ apiKey, baseURL, defaultHeaders });
+
+  return {
+    name,
+    defaultModel,
+
+    /**
+     * Whether a model accepts image input (judged from its name)
+     * @param {string} model - Model name
+     * @returns {boolean} True for known multimodal models
+     */
+    supportsVision(model) {
+      const name = (model || defaultModel).toLowerCase();
+      return VISION_MODEL_PATTERNS.some(pattern => pattern.test(name));
+    },
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - Completion request
+     * @param {string} request.model - Model name
+     * @param {Array} request.messages - Chat messages
+     * @param {number} request.maxTokens - Maximum completion tokens
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.timeout - Request timeout in milliseconds
+     * @param {AbortSignal} request.signal - Cancels the HTTP request
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    async complete({ model, messages, maxTokens, temperature, timeout, signal }) {
+      const completion = await client.chat.completions.create({
+        model: model || defaultModel,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      }, { timeout, signal });
+
+      return {
+        content: completion.choices[0].message.content.trim(),
+        model: completion.model || model || defaultModel,
+        usage: completion.usage || null
+      };
+    }
+  };
+}
+
+module.exports = createOpenAICompatibleProvider;
@@ -0,0 +1,65 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { LLM_MODE, LLM_FIXTURES_DIR } = require('../config/llm');
+
+const LLM_MODES = ['live', 'mock', 'replay', 'record'];
+
+/**
+ * Get the configured LLM mode
+ * @returns {string} One of live, mock, replay, record
+ */
+function getLlmMode() {
+  if (!LLM_MODES.includes(LLM_MODE)) {
+    throw new Error(`Invalid LLM_MODE: ${LLM_MODE}. Use: ${LLM_MODES.join(', ')}`);
+  }
+  return LLM_MODE;
+}
+
+/**
+ * Build the fixture path for a call
+ * @param {string} kind - Kind of call (section, caption)
+ * @param {Object} input - Inputs that identify the call
+ * @returns {string} Fixture file path
+ */
+function fixturePath(kind, input) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex').slice(0, 16);
+  return path.join(LLM_FIXTURES_DIR, kind, `${hash}.json`);
+}
+
+/**
+ * Read a recorded response
+ * @param {string} kind - Kind of call (section, caption)
+ * @param {Object} input - Inputs that identify the call
+ * @returns {Promise<string|null>} Recorded response, or null when none was recorded
+ *   (callers then answer as in mock mode)
+ */
+async function readFixture(kind, input) {
+  const filePath = fixturePath(kind, input);
+  if (!await fs.pathExists(filePath)) {
+    console.warn(`⚠️  No recorded ${kind} fixture for this input (${path.basename(filePath)}); using the mock output. Record it with LLM_MODE=record.`);
+    return null;
+  }
+  const fixture = await fs.readJson(filePath);
+  return fixture.response;
+}
+
+/**
+ * Save a response as a fixture (record mode only)
+ * @param {string} kind - Kind of call (section, caption)
+ * @param {Object} input - Inputs that identify the call
+ * @param {string} response - Model response
+ */
+async function recordFixture(kind, input, response) {
+  if (getLlmMode() !== 'record') return;
+
+  const filePath = fixturePath(kind, input);
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeJson(filePath, { kind, input, response, recordedAt: new Date().toISOString() }, { spaces: 2 });
+}
+
+module.exports = {
+  getLlmMode,
+  readFixture,
+  recordFixture
+};
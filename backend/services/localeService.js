@@ -0,0 +1,55 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+
+// Language used when a request names none
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'pt-BR';
+
+// Locale resources, loaded once from locales/<language>.json
+const locales = {};
+for (const filename of fs.readdirSync(LOCALES_DIR).filter(name => name.endsWith('.json'))) {
+  locales[path.basename(filename, '.json')] = fs.readJsonSync(path.join(LOCALES_DIR, filename));
+}
+
+const SUPPORTED_LANGUAGES = Object.keys(locales);
+
+/**
+ * Check whether a language has a locale resource file
+ * @param {string} language - Language tag (e.g. en-US)
+ * @returns {boolean} Whether the language is supported
+ */
+function isSupportedLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language);
+}
+
+/**
+ * Get the locale resources of a language
+ * @param {string} language - Language tag (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Locale ({ language, name, promptLanguage, dateLocale, labels })
+ */
+function getLocale(language = DEFAULT_LANGUAGE) {
+  const tag = language || DEFAULT_LANGUAGE;
+  if (!isSupportedLanguage(tag)) {
+    throw new Error(`Unsupported language: ${tag}. Use: ${SUPPORTED_LANGUAGES.join(', ')}`);
+  }
+  return { language: tag, ...locales[tag] };
+}
+
+/**
+ * Format a date for a locale
+ * @param {Date} date - Date to format
+ * @param {Object} locale - Locale from getLocale
+ * @returns {string} Localized date
+ */
+function formatDate(date, locale) {
+  return date.toLocaleDateString(locale.dateLocale);
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  isSupportedLanguage,
+  getLocale,
+  formatDate
+};
@@ -0,0 +1,252 @@
+/**
+ * Markdown of generated content. Each tagged line is one item; the Markdown
+ * blocks that follow it (steps, code, tables) belong to the item and are
+ * rendered under its bullet in the Word document. Item text keeps its inline
+ * Markdown (bold, italic, code spans, links), also rendered in Word.
+ */
+
+const FENCE_PATTERN = /^(```|~~~)\s*([\w+#.-]*)\s*$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_ROW_PATTERN = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const TAG_PATTERN = /^\s*\[[^\]]+\]/;
+const LIST_MARKER_PATTERN = /^([-*+]|\d{1,9}[.)])\s+/;
+
+// Inline Markdown, in priority order: escape, code span, link, <autolink>, bare URL,
+// **bold**, __bold__, *italic*, _italic_ (underscores only at word edges, so snake_case stays)
+const INLINE_PATTERN = new RegExp([
+  /\\([\\`*_[\]()#+\-.!|<>])/.source,
+  /`([^`]+)`/.source,
+  /\[([^\]]+)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/.source,
+  /<((?:https?:\/\/|mailto:)[^\s>]+)>/.source,
+  /(https?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]])/.source,
+  /\*\*(?=\S)([\s\S]+?)\*\*/.source,
+  /(?<!\w)__(?=\S)([\s\S]+?)__(?!\w)/.source,
+  /\*(?=[^\s*])([^*]+?)\*/.source,
+  /(?<!\w)_(?=[^\s_])([^_]+?)_(?!\w)/.source
+].join('|'), 'g');
+
+// Link targets Word may open; other links (relative paths, javascript:) become plain text
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * Check whether a line starts a Markdown block (fence, heading, list item or table row)
+ * @param {string} line - Line
+ * @returns {boolean} True for block lines
+ */
+function isBlockLine(line) {
+  const trimmed = line.trim();
+  return FENCE_PATTERN.test(trimmed) || HEADING_PATTERN.test(trimmed) ||
+    LIST_ITEM_PATTERN.test(trimmed) || TABLE_ROW_PATTERN.test(trimmed);
+}
+
+/**
+ * Remove the indentation shared by every non-empty line
+ * @param {Array<string>} lines - Lines
+ * @returns {string} Dedented text without surrounding blank lines
+ */
+function dedent(lines) {
+  const indents = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+  const shared = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(shared).replace(/\s+$/, '')).join('\n').replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Split text into items: each item is a head line plus the Markdown block
+ * lines that follow it. A line belongs to the previous item when it is
+ * indented (and untagged), opens a code fence or sits inside one; any other
+ * line, unindented list items and headings included, starts a new item.
+ * Items are bullets already, so a list marker before a head is dropped
+ * ("- [bug] ..." is tagged [bug]).
+ * @param {string} text - Text (tagged content or a section description)
+ * @returns {Array<Object>} Items ({ head, body }); body is null without blocks
+ */
+function splitItems(text) {
+  const items = [];
+  let current = null;
+  let inFence = false;
+
+  for (const rawLine of (text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.trim();
+
+    if (inFence) {
+      current.body.push(rawLine);
+      inFence = !FENCE_PATTERN.test(line);
+      continue;
+    }
+    if (!line) {
+      if (current && current.body.length > 0) current.body.push('');
+      continue;
+    }
+
+    const head = line.replace(LIST_MARKER_PATTERN, '');
+    const continues = current && !TAG_PATTERN.test(head) && (/^(\s{2,}|\t)/.test(rawLine) || FENCE_PATTERN.test(line));
+    if (continues) {
+      current.body.push(rawLine);
+      inFence = FENCE_PATTERN.test(line);
+      continue;
+    }
+
+    current = { head, body: [] };
+    items.push(current);
+  }
+
+  return items.map(item => ({ head: item.head, body: item.body.length > 0 ? dedent(item.body) || null : null }));
+}
+
+/**
+ * Split a table row into trimmed cells
+ * @param {string} line - Table row ("| a | b |")
+ * @returns {Array<string>} Cells
+ */
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+/**
+ * Parse Markdown into blocks
+ * @param {string} markdown - Markdown text
+ * @returns {Array<Object>} Blocks:
+ *   { type: 'heading', level, text }
+ *   { type: 'list', items: [{ text, level, ordered }] }
+ *   { type: 'code', language, lines }
+ *   { type: 'table', header, rows }
+ *   { type: 'paragraph', text }
+ */
+function parseBlocks(markdown) {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      index++;
+      continue;
+    }
+
+    const fence = trimmed.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      index++;
+      while (index < lines.length && !(lines[index].trim().startsWith(fence[1]) && FENCE_PATTERN.test(lines[index].trim()))) {
+        code.push(lines[index]);
+        index++;
+      }
+      index++; // closing fence (or end of text for an unclosed fence)
+      blocks.push({ type: 'code', language: fence[2] || null, lines: code });
+      continue;
+    }
+
+    const heading = trimmed.match(HEADING_PATTERN);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      index++;
+      continue;
+    }
+
+    if (TABLE_ROW_PATTERN.test(line) && index + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[index + 1])) {
+      const header = splitTableRow(line);
+      const rows = [];
+      index += 2;
+      while (index < lines.length && TABLE_ROW_PATTERN.test(lines[index])) {
+        const cells = splitTableRow(lines[index]);
+        // Rows always have as many cells as the header
+        rows.push(header.map((_, cell) => cells[cell] || ''));
+        index++;
+      }
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    if (LIST_ITEM_PATTERN.test(line)) {
+      const items = [];
+      // Indentation of each open nesting level
+      const indents = [];
+      while (index < lines.length) {
+        const match = lines[index].match(LIST_ITEM_PATTERN);
+        if (!match) {
+          // A blank line inside a list only ends it when no list item follows
+          const next = lines.slice(index).find(candidate => candidate.trim());
+          if (lines[index].trim() || !next || !LIST_ITEM_PATTERN.test(next)) break;
+          index++;
+          continue;
+        }
+
+        const indent = match[1].replace(/\t/g, '    ').length;
+        while (indents.length > 0 && indent < indents[indents.length - 1]) indents.pop();
+        if (indents.length === 0 || indent > indents[indents.length - 1]) indents.push(indent);
+
+        items.push({ text: match[3].trim(), level: Math.min(indents.length - 1, 5), ordered: /\d/.test(match[2]) });
+        index++;
+      }
+      blocks.push({ type: 'list', items });
+      continue;
+    }
+
+    // Paragraph: consecutive lines up to a blank line or another block
+    const paragraph = [trimmed];
+    index++;
+    while (index < lines.length && lines[index].trim() && !isBlockLine(lines[index])) {
+      paragraph.push(lines[index].trim());
+      index++;
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse inline Markdown into formatted text spans
+ * @param {string} text - Text with inline Markdown
+ * @param {Object} marks - Formatting inherited from the enclosing span
+ * @returns {Array<Object>} Spans ({ text, bold, italics, code, link }); adjacent
+ *   spans may share formatting
+ */
+function parseInline(text, marks = {}) {
+  const spans = [];
+  let last = 0;
+
+  for (const match of (text || '').matchAll(INLINE_PATTERN)) {
+    const [whole, escaped, code, linkText, linkTarget, autolink, url, strong, strongUnderscore, em, emUnderscore] = match;
+    if (match.index > last) {
+      spans.push({ ...marks, text: text.slice(last, match.index) });
+    }
+
+    if (escaped !== undefined) {
+      spans.push({ ...marks, text: escaped });
+    } else if (code !== undefined) {
+      spans.push({ ...marks, text: code, code: true });
+    } else if (linkText !== undefined) {
+      if (SAFE_LINK_PATTERN.test(linkTarget)) {
+        spans.push(...parseInline(linkText, { ...marks, link: linkTarget }));
+      } else {
+        // Relative targets (API paths) are still worth reading
+        spans.push(...parseInline(linkText, marks), { ...marks, text: ` (${linkTarget})` });
+      }
+    } else if (autolink !== undefined || url !== undefined) {
+      spans.push({ ...marks, text: autolink || url, link: autolink || url });
+    } else if (strong !== undefined || strongUnderscore !== undefined) {
+      spans.push(...parseInline(strong !== undefined ? strong : strongUnderscore, { ...marks, bold: true }));
+    } else {
+      spans.push(...parseInline(em !== undefined ? em : emUnderscore, { ...marks, italics: true }));
+    }
+    last = match.index + whole.length;
+  }
+
+  if (last < (text || '').length) {
+    spans.push({ ...marks, text: text.slice(last) });
+  }
+  return spans;
+}
+
+module.exports = {
+  isBlockLine,
+  splitItems,
+  parseBlocks,
+  parseInline
+};
@@ -1,27 +1,13 @@
-const OpenAI = require('openai');
-const { API_TIMEOUT, IMAGE_CAPTION_TIMEOUT, MAX_RETRIES, RETRY_DELAY, MAX_DESCRIPTION_LENGTH, MAX_IMAGES } = require('../config/timeouts');
+const { IMAGE_CAPTION_TIMEOUT, MAX_RETRIES, RETRY_DELAY, MAX_DESCRIPTION_LENGTH, MAX_IMAGES } = require('../config/timeouts');
 const { processAllSections } = require('./sectionProcessor');
-
-if (!process.env.OPENROUTER_API_KEY) {
-  throw new Error('OPENROUTER_API_KEY environment variable is required. Please configure it in your .env file.');
-}
-
-// Initialize OpenRouter client
-const openRouter = new OpenAI({
-  apiKey: process.env.OPENROUTER_API_KEY,
-  baseURL: 'https://openrouter.ai/api/v1',
-  defaultHeaders: {
-    'HTTP-Referer': process.env.OPENROUTER_REFERER || 'https://phosdocs.com',
-    'X-Title': 'PhosDocs - Documentation Generator'
-  }
-});
-
-/**
- * Sleep function for retry delays
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise} Promise that resolves after the specified time
- */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const { getLlmMode, readFixture, recordFixture } = require('./llmMode');
+const { completeWithFallback } = require('./llm');
+const { renderTemplate } = require('./promptStore');
+const { trackUsage } = require('./usageService');
+const { toVisionDataUrl } = require('./visionImage');
+const { buildCoverageReport } = require('./coverageService');
+const { COVERAGE_INPUT_LANGUAGE } = require('../config/coverage');
+const crypto = require('crypto');
 
 /**
  * Validate input data to prevent timeouts
@@ -60,9 +46,16 @@ function validateInput(data) {
  * @param {string} data.title - The title of the documentation
  * @param {string} data.description - The technical description to rewrite
  * @param {Array} data.images - Array of image objects with captions
+ * @param {string} data.language - Output language tag (coverage is matched by provenance when it
+ *   differs from COVERAGE_INPUT_LANGUAGE)
+ * @param {Object} options - Generation options
+ * @param {Function} options.onProgress - Called with per-section progress events
+ * @param {AbortSignal} options.signal - Aborts in-flight section processing
+ * @param {boolean} options.noCache - Bypass the prompt cache
+ * @param {Array} options.usageLog - Collects the token usage of every section call
  * @returns {Promise<string>} The generated documentation
  */
-async function generateDocumentation(data) {
+async function generateDocumentation(data, { onProgress, signal, noCache = false, usageLog } = {}) {
   try {
     // Validate input first
     const validation = validateInput(data);
@@ -70,23 +63,14 @@ async function generateDocumentation(data) {
       throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
     }
 
-    const { title, description, images } = data;
-
-    console.log('🔄 Starting individual section processing...');
-
-    // Extrair o tipo da seção da descrição
-    const sections = description.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0);
+    const { title, description, images, language } = data;
 
-    let sectionType = 'funcionalidade'; // Tipo padrão
-    const sectionMatch = sections[0]?.match(/^\[(funcionalidade|bug|performance|segurança|recurso)\]/i);
-    if (sectionMatch) {
-      sectionType = sectionMatch[1].toLowerCase();
-    }
+    console.log(`🔄 Starting individual section processing (LLM mode: ${getLlmMode()})...`);
 
-    // Use the new section processor with sectionType
-    const generatedText = await processAllSections(data, sectionType);
+    // Process each tagged section of the description
+    const cacheStats = { hits: 0, misses: 0 };
+    const provenance = [];
+    const generatedText = await processAllSections(data, { onProgress, signal, noCache, cacheStats, usageLog, provenance });
 
     // Format the response
     const documentation = {
@@ -96,75 +80,128 @@ async function generateDocumentation(data) {
       images: images || [],
       generatedAt: new Date().toISOString(),
       wordCount: generatedText.split(' ').length,
-      characterCount: generatedText.length
+      characterCount: generatedText.length,
+      cache: cacheStats,
+      // Which input item each generated item came from; flags dropped and invented items
+      coverage: buildCoverageReport(provenance, {
+        matchBy: language && language !== COVERAGE_INPUT_LANGUAGE ? 'provenance' : 'text'
+      }),
+      // Provider and model behind each section (source: model, cache, fallback, mock or replay)
+      sectionModels: provenance.map((entry, index) => ({ index, type: entry.input.type, ...entry.producedBy }))
     };
 
     console.log(`✅ Documentation generated successfully using section processing`);
     return documentation;
 
   } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
     console.error('Error in section processing:', error);
     throw new Error(`Documentation generation failed: ${error.message}`);
   }
 }
 
+/**
+ * Build the caption messages. Models with vision get the image itself plus the
+ * document context; other models only get the filename.
+ * @param {string} imageDescription - Description of the image (original filename)
+ * @param {Object} options - Message options
+ * @param {boolean} options.vision - Whether the caption model accepts images
+ * @param {Buffer} options.image - Image data
+ * @param {Object} options.context - Document context ({ title, items })
+ * @param {Object} options.variables - Extra prompt template variables
+ * @returns {Promise<Array>} Chat messages
+ */
+async function buildCaptionMessages(imageDescription, { vision, image, context, variables }) {
+  if (!vision || !image) {
+    // Caption prompt comes from the prompts/image-caption template
+    const { messages } = await renderTemplate('image-caption', { ...variables, description: imageDescription });
+    return messages;
+  }
+
+  const items = context.items || [];
+  const { messages } = await renderTemplate('image-caption-vision', {
+    ...variables,
+    title: context.title,
+    nearby_items: items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '-',
+    filename: imageDescription
+  });
+
+  const [systemMessage, userMessage] = messages;
+  return [
+    systemMessage,
+    {
+      role: 'user',
+      content: [
+        { type: 'text', text: userMessage.content },
+        { type: 'image_url', image_url: { url: await toVisionDataUrl(image) } }
+      ]
+    }
+  ];
+}
+
 /**
  * Generate image captions using OpenRouter with retry logic
- * @param {string} imageDescription - Description of the image
+ * @param {string} imageDescription - Description of the image (original filename)
+ * @param {Object} options - Caption options
+ * @param {Buffer} options.image - Image data, sent to the model when it supports vision
+ * @param {Object} options.context - Document context for vision captions
+ * @param {string} options.context.title - Document title
+ * @param {Array<string>} options.context.items - Description items near the image
+ * @param {Object} options.variables - Extra prompt template variables (audience, language, product...)
+ * @param {Array} options.usageLog - Collects the token usage (recorded right away when omitted)
+ * @param {AbortSignal} options.signal - Aborts the in-flight caption call and pending retries
  * @returns {Promise<string>} Generated caption
  */
-async function generateImageCaption(imageDescription) {
+async function generateImageCaption(imageDescription, { image, context = {}, variables = {}, usageLog, signal } = {}) {
   try {
-    let lastError;
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-      try {
-        console.log(`Attempt ${attempt} of ${MAX_RETRIES} to generate caption`);
-
-        const imageCaptionPrompt = process.env.IMAGE_CAPTION_PROMPT;
-        
-        if (!imageCaptionPrompt) {
-          throw new Error('IMAGE_CAPTION_PROMPT is not configured in the .env file');
-        }
-
-        const completion = await openRouter.chat.completions.create({
-          model: process.env.OPENROUTER_MODEL || 'openai/gpt-3.5-turbo',
-          messages: [
-            {
-              role: 'system',
-              content: process.env.IMAGE_CAPTION_PROMPT
-            },
-            {
-              role: 'user',
-              content: imageCaptionPrompt.replace('{DESCRIPTION}', imageDescription)
-            }
-          ],
-          max_tokens: process.env.SECTION_MAX_TOKENS,
-          temperature: process.env.SECTION_TEMPERATURE,
-          timeout: IMAGE_CAPTION_TIMEOUT,
-        });
-
-        const caption = completion.choices[0].message.content.trim();
-        console.log(`Caption generated successfully on attempt ${attempt}`);
-        return caption;
-
-      } catch (error) {
-        lastError = error;
-        console.error(`Attempt ${attempt} failed:`, error.message);
-
-        if (attempt < MAX_RETRIES) {
-          console.log(`Waiting ${RETRY_DELAY}ms before next attempt...`);
-          await sleep(RETRY_DELAY);
-        }
+    // Captions of real images depend on the pixels and the context, not just the filename
+    const fixtureInput = image
+      ? {
+        imageDescription,
+        title: context.title || null,
+        items: context.items || [],
+        image: crypto.createHash('sha256').update(image).digest('hex')
       }
+      : { imageDescription };
+
+    // Offline modes never reach the model; replay answers as mock when nothing was recorded
+    const mode = getLlmMode();
+    const recorded = mode === 'replay' ? await readFixture('caption', fixtureInput) : null;
+    if (recorded !== null) {
+      return recorded;
+    }
+    if (mode === 'mock' || mode === 'replay') {
+      return `Technical image - ${imageDescription}`;
     }
 
-    // If all retries failed, return a fallback caption
-    console.error('All caption generation attempts failed, using default caption');
-    return `Technical image - ${imageDescription}`;
+    // Provider and model can be routed with IMAGE_CAPTION_PROVIDER / IMAGE_CAPTION_MODEL,
+    // with fallbacks in IMAGE_CAPTION_FALLBACKS or LLM_FALLBACKS
+    const { result: caption, provider, model } = await completeWithFallback('IMAGE_CAPTION', {
+      messages: ({ vision }) => buildCaptionMessages(imageDescription, { vision, image, context, variables }),
+      maxTokens: parseInt(process.env.SECTION_MAX_TOKENS) || undefined,
+      temperature: parseFloat(process.env.SECTION_TEMPERATURE) || undefined,
+      timeout: IMAGE_CAPTION_TIMEOUT,
+      attempts: MAX_RETRIES,
+      retryDelay: RETRY_DELAY,
+      signal,
+      onCompletion: (route, completion) => trackUsage(usageLog, { kind: 'caption', provider: route.provider.name, completion }),
+      label: 'image caption'
+    });
+
+    console.log(`Caption generated successfully by ${provider}/${model}`);
+    await recordFixture('caption', fixtureInput, caption);
+    return caption;
 
   } catch (error) {
+    // Cancelled work gets no default caption
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+
+    // Every route failed (or the prompt could not be built): use a default caption
     console.error('Image caption generation error:', error);
-    // Return a fallback caption if API fails
     return `Technical image - ${imageDescription}`;
   }
 }
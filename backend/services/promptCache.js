@@ -0,0 +1,119 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  PROMPT_CACHE_ENABLED,
+  PROMPT_CACHE_DIR,
+  PROMPT_CACHE_TTL_MS,
+  PROMPT_CACHE_MAX_SIZE
+} = require('../config/promptCache');
+
+/**
+ * Build the content address of a completion
+ * @param {Object} request - Inputs that determine the completion
+ * @param {string} request.model - Model name
+ * @param {string} request.systemPrompt - System prompt
+ * @param {string} request.userPrompt - User prompt
+ * @param {number} request.temperature - Sampling temperature
+ * @returns {string} Cache key (sha256)
+ */
+function cacheKey({ model, systemPrompt, userPrompt, temperature }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([model, systemPrompt, userPrompt, temperature]))
+    .digest('hex');
+}
+
+/**
+ * Get the file of a cache entry
+ * @param {string} key - Cache key
+ * @returns {string} Entry file path
+ */
+function entryPath(key) {
+  return path.join(PROMPT_CACHE_DIR, `${key}.json`);
+}
+
+/**
+ * Look up a cached completion
+ * @param {Object} request - Inputs that determine the completion (see cacheKey)
+ * @returns {Promise<string|null>} Cached response, or null on a miss or expired entry
+ */
+async function getCachedResponse(request) {
+  if (!PROMPT_CACHE_ENABLED) return null;
+
+  const filePath = entryPath(cacheKey(request));
+  try {
+    if (!await fs.pathExists(filePath)) {
+      return null;
+    }
+
+    const entry = await fs.readJson(filePath);
+    if (Date.now() - new Date(entry.cachedAt).getTime() > PROMPT_CACHE_TTL_MS) {
+      await fs.remove(filePath);
+      return null;
+    }
+
+    return entry.response;
+  } catch (error) {
+    // A corrupt entry is just a miss
+    console.error('Prompt cache read error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store a completion and evict entries beyond the TTL and size cap
+ * @param {Object} request - Inputs that determine the completion (see cacheKey)
+ * @param {string} response - Model response
+ */
+async function setCachedResponse(request, response) {
+  if (!PROMPT_CACHE_ENABLED) return;
+
+  try {
+    await fs.ensureDir(PROMPT_CACHE_DIR);
+    const filePath = entryPath(cacheKey(request));
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeJson(tempPath, { model: request.model, response, cachedAt: new Date().toISOString() });
+    await fs.move(tempPath, filePath, { overwrite: true });
+
+    await pruneCache();
+  } catch (error) {
+    // Caching is best effort; the completion itself succeeded
+    console.error('Prompt cache write error:', error.message);
+  }
+}
+
+/**
+ * Remove expired entries, then the oldest ones while the cache exceeds its size cap
+ * @returns {Promise<Object>} Number of removed entries and remaining size
+ */
+async function pruneCache() {
+  const now = Date.now();
+  const filenames = (await fs.readdir(PROMPT_CACHE_DIR)).filter(filename => filename.endsWith('.json'));
+
+  const entries = [];
+  for (const filename of filenames) {
+    const filePath = path.join(PROMPT_CACHE_DIR, filename);
+    const stats = await fs.stat(filePath);
+    entries.push({ filePath, size: stats.size, modifiedAt: stats.mtimeMs });
+  }
+
+  let removed = 0;
+  let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  const byAge = entries.sort((a, b) => a.modifiedAt - b.modifiedAt);
+  for (const entry of byAge) {
+    if (now - entry.modifiedAt <= PROMPT_CACHE_TTL_MS && totalSize <= PROMPT_CACHE_MAX_SIZE) break;
+    await fs.remove(entry.filePath);
+    totalSize -= entry.size;
+    removed++;
+  }
+
+  return { removed, size: totalSize };
+}
+
+module.exports = {
+  getCachedResponse,
+  setCachedResponse,
+  pruneCache
+};
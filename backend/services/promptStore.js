@@ -0,0 +1,435 @@
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  PROMPTS_DIR,
+  BUNDLED_PROMPTS_DIR,
+  ENV_PROMPT_OVERRIDES,
+  PROMPT_DEFAULT_VARIABLES
+} = require('../config/prompts');
+
+// Template names double as directory names
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Placeholders look like {TITLE} or {AUDIENCE}; they map to lowercase variable names
+const PLACEHOLDER_PATTERN = /\{([A-Z][A-Z0-9_]*)\}/g;
+
+// Seeding runs once per process; templates with an .env override are reported once
+let seeding = null;
+const reportedOverrides = new Set();
+
+/**
+ * Build an error carrying the HTTP status the routes should answer with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error
+ */
+function requestError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Validate a template name
+ * @param {string} name - Template name
+ */
+function assertValidName(name) {
+  if (!TEMPLATE_NAME_PATTERN.test(name || '')) {
+    throw requestError(`Invalid template name: ${name}. Use lowercase letters, digits, "-" and "_"`, 400);
+  }
+}
+
+/**
+ * Get the directory of a template
+ * @param {string} name - Template name
+ * @returns {string} Directory path
+ */
+function templateDir(name) {
+  return path.join(PROMPTS_DIR, name);
+}
+
+/**
+ * Write a file atomically (temp file + rename)
+ * @param {string} filePath - Target path
+ * @param {string} content - File content
+ */
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, content, 'utf8');
+  await fs.move(tempPath, filePath, { overwrite: true });
+}
+
+/**
+ * Read a template.json
+ * @param {string} dir - Template directory
+ * @returns {Promise<Object|null>} Metadata, or null when the directory holds no template
+ */
+async function readMetaFile(dir) {
+  const metaPath = path.join(dir, 'template.json');
+  if (!await fs.pathExists(metaPath)) {
+    return null;
+  }
+  return fs.readJson(metaPath);
+}
+
+/**
+ * Read the messages of a template version
+ * @param {string} dir - Template directory
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} { system, user }
+ */
+async function readVersionFiles(dir, version) {
+  const [system, user] = await Promise.all([
+    fs.readFile(path.join(dir, `v${version}.system.txt`), 'utf8'),
+    fs.readFile(path.join(dir, `v${version}.user.txt`), 'utf8')
+  ]);
+  return { system, user };
+}
+
+/**
+ * Add the bundled versions an installed template does not have yet (a bundled
+ * template updated after the install was seeded). Versions are compared by
+ * content; the new version becomes active unless the active one was edited
+ * through /api/prompts.
+ * @param {string} name - Template name
+ */
+async function syncBundledVersions(name) {
+  const bundledDir = path.join(BUNDLED_PROMPTS_DIR, name);
+  const [bundled, meta] = await Promise.all([readMetaFile(bundledDir), readMetaFile(templateDir(name))]);
+  if (!bundled || !meta) {
+    return;
+  }
+
+  const sameMessages = (a, b) => a.system === b.system && a.user === b.user;
+  const installed = await Promise.all(meta.versions.map(entry => readVersionFiles(templateDir(name), entry.version)));
+  const shipped = await Promise.all(bundled.versions.map(entry => readVersionFiles(bundledDir, entry.version)));
+
+  const activeIndex = meta.versions.findIndex(entry => entry.version === meta.activeVersion);
+  const activeWasShipped = activeIndex !== -1 && shipped.some(messages => sameMessages(messages, installed[activeIndex]));
+
+  for (const [index, entry] of bundled.versions.entries()) {
+    if (installed.some(messages => sameMessages(messages, shipped[index]))) continue;
+
+    const activeVersion = meta.activeVersion;
+    await writeVersion(name, meta, { ...shipped[index], note: entry.note });
+    installed.push(shipped[index]);
+    if (!activeWasShipped) {
+      meta.activeVersion = activeVersion;
+      await writeFileAtomic(path.join(templateDir(name), 'template.json'), JSON.stringify(meta, null, 2));
+    }
+    console.log(`Prompt template ${name}: bundled version ${entry.version} added as version ${meta.versions[meta.versions.length - 1].version}` +
+      (activeWasShipped ? '' : ' (the edited active version was kept)'));
+  }
+}
+
+/**
+ * Copy the bundled templates missing from PROMPTS_DIR, so a fresh install
+ * starts with them and edits never touch the source tree, and bring the
+ * installed ones up to date with the bundled versions
+ * @returns {Promise<void>}
+ */
+function seedTemplates() {
+  if (!seeding) {
+    seeding = (async () => {
+      if (path.resolve(PROMPTS_DIR) === path.resolve(BUNDLED_PROMPTS_DIR) || !await fs.pathExists(BUNDLED_PROMPTS_DIR)) {
+        return;
+      }
+
+      const entries = await fs.readdir(BUNDLED_PROMPTS_DIR, { withFileTypes: true });
+      for (const entry of entries.filter(candidate => candidate.isDirectory())) {
+        const target = path.join(PROMPTS_DIR, entry.name);
+        if (await fs.pathExists(target)) {
+          await syncBundledVersions(entry.name);
+        } else {
+          await fs.copy(path.join(BUNDLED_PROMPTS_DIR, entry.name), target);
+          console.log(`Prompt template ${entry.name} copied to ${PROMPTS_DIR}`);
+        }
+      }
+    })().catch(error => {
+      // Try again on the next call
+      seeding = null;
+      console.error('Prompt template seeding error:', error);
+      throw new Error(`Failed to copy the bundled prompt templates: ${error.message}`);
+    });
+  }
+  return seeding;
+}
+
+/**
+ * Read the metadata of a template
+ * @param {string} name - Template name
+ * @returns {Promise<Object|null>} Metadata, or null when the template does not exist
+ */
+async function readMeta(name) {
+  await seedTemplates();
+  return readMetaFile(templateDir(name));
+}
+
+/**
+ * Write a new version of a template and make it active
+ * @param {string} name - Template name
+ * @param {Object} meta - Current metadata (versions list is updated in place)
+ * @param {Object} data - { system, user, author, note }
+ * @returns {Promise<Object>} Updated metadata
+ */
+async function writeVersion(name, meta, data) {
+  const dir = templateDir(name);
+  const version = meta.versions.reduce((max, entry) => Math.max(max, entry.version), 0) + 1;
+
+  await fs.ensureDir(dir);
+  await writeFileAtomic(path.join(dir, `v${version}.system.txt`), data.system);
+  await writeFileAtomic(path.join(dir, `v${version}.user.txt`), data.user);
+
+  meta.versions.push({
+    version,
+    author: data.author || null,
+    note: data.note || null,
+    createdAt: new Date().toISOString()
+  });
+  meta.activeVersion = version;
+  meta.updatedAt = new Date().toISOString();
+
+  await writeFileAtomic(path.join(dir, 'template.json'), JSON.stringify(meta, null, 2));
+  return meta;
+}
+
+/**
+ * List the placeholders used by a pair of messages
+ * @param {Object} messages - { system, user }
+ * @returns {Array<string>} Variable names (lowercase)
+ */
+function findVariables({ system, user }) {
+  const names = new Set();
+  for (const text of [system, user]) {
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1].toLowerCase());
+    }
+  }
+  return [...names];
+}
+
+/**
+ * List all templates
+ * @returns {Promise<Array>} Template summaries
+ */
+async function listTemplates() {
+  try {
+    await seedTemplates();
+    if (!await fs.pathExists(PROMPTS_DIR)) {
+      return [];
+    }
+
+    const entries = await fs.readdir(PROMPTS_DIR, { withFileTypes: true });
+    const templates = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      const meta = await readMeta(entry.name);
+      if (meta) {
+        templates.push({
+          name: meta.name,
+          description: meta.description,
+          activeVersion: meta.activeVersion,
+          versionCount: meta.versions.length,
+          updatedAt: meta.updatedAt
+        });
+      }
+    }
+
+    return templates.sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Prompt template list error:', error);
+    throw new Error(`Failed to list prompt templates: ${error.message}`);
+  }
+}
+
+/**
+ * Get a template with the messages of one version
+ * @param {string} name - Template name
+ * @param {number} version - Version number (defaults to the active version)
+ * @returns {Promise<Object|null>} Template, or null when the template or version does not exist
+ */
+async function getTemplate(name, version) {
+  assertValidName(name);
+  const meta = await readMeta(name);
+  if (!meta) {
+    return null;
+  }
+
+  const selected = version ? parseInt(version) : meta.activeVersion;
+  if (!meta.versions.some(entry => entry.version === selected)) {
+    return null;
+  }
+
+  const messages = await readVersionFiles(templateDir(name), selected);
+  return {
+    ...meta,
+    version: selected,
+    ...messages,
+    placeholders: findVariables(messages)
+  };
+}
+
+/**
+ * Create a template
+ * @param {Object} data - Template data
+ * @param {string} data.name - Template name
+ * @param {string} data.description - What the template is used for
+ * @param {string} data.system - System message
+ * @param {string} data.user - User message
+ * @param {Object} data.variables - Default variable values for this template
+ * @param {string} data.author - Who made the change
+ * @returns {Promise<Object>} Created template
+ */
+async function createTemplate(data) {
+  assertValidName(data.name);
+  if (await readMeta(data.name)) {
+    throw requestError(`Prompt template already exists: ${data.name}`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const meta = {
+    name: data.name,
+    description: data.description || '',
+    variables: data.variables || {},
+    activeVersion: null,
+    versions: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await writeVersion(data.name, meta, data);
+  return getTemplate(data.name);
+}
+
+/**
+ * Update a template. New messages are stored as a new version; passing only
+ * activeVersion rolls back (or forward) to an existing version.
+ * @param {string} name - Template name
+ * @param {Object} data - { system, user, description, variables, activeVersion, author, note }
+ * @returns {Promise<Object|null>} Updated template, or null when it does not exist
+ */
+async function updateTemplate(name, data) {
+  assertValidName(name);
+  const meta = await readMeta(name);
+  if (!meta) {
+    return null;
+  }
+
+  if (data.description !== undefined) meta.description = data.description;
+  if (data.variables !== undefined) meta.variables = data.variables;
+
+  if (data.system !== undefined || data.user !== undefined) {
+    const current = await readVersionFiles(templateDir(name), meta.activeVersion);
+    await writeVersion(name, meta, {
+      system: data.system !== undefined ? data.system : current.system,
+      user: data.user !== undefined ? data.user : current.user,
+      author: data.author,
+      note: data.note
+    });
+  } else {
+    if (data.activeVersion !== undefined) {
+      const version = parseInt(data.activeVersion);
+      if (!meta.versions.some(entry => entry.version === version)) {
+        throw requestError(`Version ${data.activeVersion} not found for template ${name}`, 400);
+      }
+      meta.activeVersion = version;
+    }
+    meta.updatedAt = new Date().toISOString();
+    await writeFileAtomic(path.join(templateDir(name), 'template.json'), JSON.stringify(meta, null, 2));
+  }
+
+  return getTemplate(name);
+}
+
+/**
+ * Delete a template and all its versions. Bundled templates can't be deleted:
+ * seeding would bring them back, and sections would lose their prompt meanwhile.
+ * @param {string} name - Template name
+ * @returns {Promise<boolean>} Whether the template existed
+ */
+async function deleteTemplate(name) {
+  assertValidName(name);
+  if (!await readMeta(name)) {
+    return false;
+  }
+  if (await fs.pathExists(path.join(BUNDLED_PROMPTS_DIR, name, 'template.json'))) {
+    throw requestError(`Prompt template ${name} ships with the application and cannot be deleted; activate another version instead`, 409);
+  }
+  await fs.remove(templateDir(name));
+  return true;
+}
+
+/**
+ * Replace the placeholders of a text
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by lowercase name
+ * @returns {string} Rendered text
+ */
+function fillPlaceholders(text, variables) {
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const value = variables[name.toLowerCase()];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Get the messages .env still sets for a template (see ENV_PROMPT_OVERRIDES)
+ * @param {string} name - Template name
+ * @returns {Object|null} { system, user }, or null when the template is not overridden
+ */
+function getEnvOverride(name) {
+  const override = ENV_PROMPT_OVERRIDES[name];
+  if (override && !reportedOverrides.has(name)) {
+    reportedOverrides.add(name);
+    console.warn(`Prompt template ${name} is overridden by .env; save the prompt as a new version through /api/prompts and remove it from .env`);
+  }
+  return override || null;
+}
+
+/**
+ * Render the messages a template produces for an input.
+ * Variables are resolved from the input, then the template defaults, then PROMPT_* configuration.
+ * Without an explicit version, a prompt still set in .env replaces the active version.
+ * @param {string} name - Template name
+ * @param {Object} variables - Input variables (e.g. { title, content, audience })
+ * @param {Object} options - Render options
+ * @param {number} options.version - Template version (defaults to the active version)
+ * @returns {Promise<Object>} { template, version, envOverride, messages, variables, missingVariables }
+ */
+async function renderTemplate(name, variables = {}, { version } = {}) {
+  const template = await getTemplate(name, version);
+  if (!template) {
+    throw requestError(`Prompt template not found: ${name}${version ? ` (version ${version})` : ''}`, 404);
+  }
+
+  const override = version ? null : getEnvOverride(name);
+  const source = override || template;
+
+  const resolved = { ...PROMPT_DEFAULT_VARIABLES, ...template.variables };
+  for (const [key, value] of Object.entries(variables)) {
+    if (value !== undefined && value !== null && value !== '') {
+      resolved[key.toLowerCase()] = value;
+    }
+  }
+
+  return {
+    template: name,
+    version: template.version,
+    envOverride: Boolean(override),
+    messages: [
+      { role: 'system', content: fillPlaceholders(source.system, resolved) },
+      { role: 'user', content: fillPlaceholders(source.user, resolved) }
+    ],
+    variables: resolved,
+    missingVariables: (override ? findVariables(override) : template.placeholders).filter(placeholder => resolved[placeholder] === undefined)
+  };
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  renderTemplate
+};
@@ -0,0 +1,214 @@
+const {
+  RETENTION_SWEEP_INTERVAL_MS,
+  RETENTION_MAX_AGE_MS,
+  RETENTION_MAX_TOTAL_SIZE,
+  RETENTION_KEEP_VERSIONS,
+  RETENTION_TEMP_MAX_AGE_MS
+} = require('../config/retention');
+const { getAllDocuments, pruneVersions } = require('./documentStore');
+const { getStorage } = require('./storage');
+
+// Multer stores uploaded logos as "logo-<timestamp>-<random>.<ext>"; they are only read once
+const TEMP_FILE_PATTERN = /^logo-\d+-\d+\./;
+
+let sweepTimer = null;
+
+/**
+ * Get the current retention policy from configuration
+ * @returns {Object} Retention policy
+ */
+function getPolicy() {
+  return {
+    maxAgeMs: RETENTION_MAX_AGE_MS,
+    maxTotalSize: RETENTION_MAX_TOTAL_SIZE,
+    keepVersions: RETENTION_KEEP_VERSIONS,
+    tempMaxAgeMs: RETENTION_TEMP_MAX_AGE_MS
+  };
+}
+
+/**
+ * List the stored files with size and modification time
+ * @returns {Promise<Array>} Files ({ filename, size, modifiedAt })
+ */
+async function listUploads() {
+  const files = await getStorage().list();
+  return files.map(file => ({
+    filename: file.key,
+    size: file.size,
+    modifiedAt: new Date(file.modifiedAt)
+  }));
+}
+
+/**
+ * Collect the files used by stored document versions
+ * @param {number} keepVersions - Number of most recent versions to keep per document
+ * @returns {Promise<Object>} Sets of protected filenames and filenames of pruned versions, and the pruned version count
+ */
+async function collectReferences(keepVersions) {
+  const documents = await getAllDocuments();
+  const protectedFiles = new Set();
+  const prunedFiles = new Set();
+  let prunedVersions = 0;
+
+  for (const document of documents) {
+    const retained = document.versions.slice(-keepVersions);
+    const pruned = document.versions.slice(0, Math.max(document.versions.length - keepVersions, 0));
+
+    for (const version of retained) {
+      protectedFiles.add(version.filename);
+      version.images.forEach(image => protectedFiles.add(image.filename));
+    }
+    prunedVersions += pruned.length;
+    for (const version of pruned) {
+      prunedFiles.add(version.filename);
+      version.images.forEach(image => prunedFiles.add(image.filename));
+    }
+  }
+
+  return { protectedFiles, prunedFiles, prunedVersions };
+}
+
+/**
+ * Work out which files the retention policy would delete
+ * @param {Object} policy - Retention policy (defaults to configuration)
+ * @returns {Promise<Object>} Files to delete with reasons, and directory totals
+ */
+async function planCleanup(policy = getPolicy()) {
+  const now = Date.now();
+  const files = await listUploads();
+  const { protectedFiles, prunedFiles, prunedVersions } = await collectReferences(policy.keepVersions);
+
+  const toDelete = new Map();
+  const markForDeletion = (file, reason) => {
+    if (!toDelete.has(file.filename)) {
+      toDelete.set(file.filename, { ...file, reason });
+    }
+  };
+
+  const unprotected = files.filter(file => !protectedFiles.has(file.filename));
+
+  for (const file of unprotected) {
+    const age = now - file.modifiedAt.getTime();
+
+    if (prunedFiles.has(file.filename)) {
+      markForDeletion(file, `older than the last ${policy.keepVersions} versions of its document`);
+    } else if (TEMP_FILE_PATTERN.test(file.filename) && age > policy.tempMaxAgeMs) {
+      markForDeletion(file, 'expired temporary upload');
+    } else if (age > policy.maxAgeMs) {
+      markForDeletion(file, `older than ${Math.round(policy.maxAgeMs / 86400000)} days`);
+    }
+  }
+
+  // Enforce the size cap by removing the oldest remaining unprotected files
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  let remainingSize = totalSize - [...toDelete.values()].reduce((sum, file) => sum + file.size, 0);
+
+  const bySize = unprotected
+    .filter(file => !toDelete.has(file.filename))
+    .sort((a, b) => a.modifiedAt - b.modifiedAt);
+
+  for (const file of bySize) {
+    if (remainingSize <= policy.maxTotalSize) break;
+    markForDeletion(file, 'uploads directory exceeds the size limit');
+    remainingSize -= file.size;
+  }
+
+  const deletions = [...toDelete.values()].map(file => ({
+    filename: file.filename,
+    size: file.size,
+    modifiedAt: file.modifiedAt.toISOString(),
+    reason: file.reason
+  }));
+
+  return {
+    policy,
+    deletions,
+    totals: {
+      files: files.length,
+      size: totalSize,
+      protectedFiles: files.length - unprotected.length,
+      versionsToPrune: prunedVersions,
+      filesToDelete: deletions.length,
+      sizeToFree: totalSize - remainingSize,
+      sizeAfterCleanup: remainingSize,
+      overSizeLimit: remainingSize > policy.maxTotalSize
+    }
+  };
+}
+
+/**
+ * Apply the retention policy to the uploads directory. Versions beyond the
+ * last keepVersions of each document are removed from the document store
+ * before their files are deleted, so no stored record points to a missing file
+ * @param {Object} options - Cleanup options
+ * @param {boolean} options.dryRun - Only report what would be deleted
+ * @returns {Promise<Object>} Cleanup report
+ */
+async function runCleanup({ dryRun = false } = {}) {
+  try {
+    const plan = await planCleanup();
+
+    if (dryRun) {
+      return { dryRun: true, ...plan };
+    }
+
+    const prunedVersions = await pruneVersions(plan.policy.keepVersions);
+
+    // A version saved since the plan was made may use one of the planned files
+    const { protectedFiles } = await collectReferences(plan.policy.keepVersions);
+
+    const failed = [];
+    const skipped = [];
+    for (const file of plan.deletions) {
+      if (protectedFiles.has(file.filename)) {
+        skipped.push(file.filename);
+        continue;
+      }
+      try {
+        await getStorage().delete(file.filename);
+      } catch (error) {
+        console.error(`Failed to delete ${file.filename}:`, error.message);
+        failed.push({ filename: file.filename, error: error.message });
+      }
+    }
+
+    const removed = plan.deletions.length - failed.length - skipped.length;
+    console.log(`🧹 Retention cleanup removed ${removed} file(s) and ${prunedVersions} document version(s)`);
+    return { dryRun: false, ...plan, prunedVersions, skipped, failed };
+  } catch (error) {
+    console.error('Retention cleanup error:', error);
+    throw new Error(`Failed to clean up uploads: ${error.message}`);
+  }
+}
+
+/**
+ * Start the background retention sweep
+ * @param {number} intervalMs - Interval between sweeps
+ */
+function startRetentionSweep(intervalMs = RETENTION_SWEEP_INTERVAL_MS) {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(() => {
+    runCleanup().catch(error => console.error('Background retention sweep failed:', error.message));
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweep
+  sweepTimer.unref();
+}
+
+/**
+ * Stop the background retention sweep
+ */
+function stopRetentionSweep() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  planCleanup,
+  runCleanup,
+  startRetentionSweep,
+  stopRetentionSweep
+};
@@ -0,0 +1,267 @@
+const { getAllDocuments } = require('./documentStore');
+const { getSectionTypeIds } = require('./sectionTypeRegistry');
+const { parseDate, inDateRange } = require('../utils/dateRange');
+
+// Section types produced by parseMarkdownContent (ids of the section-type registry)
+const SECTION_TYPES = getSectionTypeIds();
+
+// Characters of context kept around a match in long fields (description)
+const SNIPPET_CONTEXT = 60;
+
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+/**
+ * Fold a string for case and accent insensitive matching, keeping a map from
+ * each folded character back to its index in the original string
+ * @param {string} text - Original text
+ * @returns {Object} Folded text and index map
+ */
+function fold(text) {
+  let folded = '';
+  const indexMap = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const chars = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (const char of chars) {
+      folded += char;
+      indexMap.push(i);
+    }
+  }
+
+  return { folded, indexMap };
+}
+
+/**
+ * Split a free-text query into folded terms
+ * @param {string} query - Query string
+ * @returns {Array<string>} Search terms
+ */
+function parseTerms(query) {
+  return fold(query || '').folded
+    .split(/\s+/)
+    .map(term => term.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Find all occurrences of the terms in a text
+ * @param {string} text - Text to search
+ * @param {Array<string>} terms - Folded search terms
+ * @returns {Array} Ranges ({ start, end }) in the original text, merged and sorted
+ */
+function findRanges(text, terms) {
+  const { folded, indexMap } = fold(text);
+  const ranges = [];
+
+  for (const term of terms) {
+    let position = folded.indexOf(term);
+    while (position !== -1) {
+      ranges.push({
+        start: indexMap[position],
+        end: indexMap[position + term.length - 1] + 1
+      });
+      position = folded.indexOf(term, position + term.length);
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+
+  // Merge overlapping ranges so highlights never nest
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Escape text for HTML so stored content can't inject markup next to the highlight markers
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wrap the given ranges of a text with highlight markers. The result is
+ * HTML: the text between markers is escaped.
+ * @param {string} text - Original text
+ * @param {Array} ranges - Merged ranges from findRanges
+ * @returns {string} Highlighted text
+ */
+function highlight(text, ranges) {
+  let result = '';
+  let cursor = 0;
+
+  for (const range of ranges) {
+    result += escapeHtml(text.slice(cursor, range.start)) + HIGHLIGHT_START + escapeHtml(text.slice(range.start, range.end)) + HIGHLIGHT_END;
+    cursor = range.end;
+  }
+
+  return result + escapeHtml(text.slice(cursor));
+}
+
+/**
+ * Highlight a long text, cropping it to the context around the matches
+ * @param {string} text - Original text
+ * @param {Array} ranges - Merged ranges from findRanges
+ * @returns {string} Highlighted snippet
+ */
+function snippet(text, ranges) {
+  const start = Math.max(ranges[0].start - SNIPPET_CONTEXT, 0);
+  const end = Math.min(ranges[ranges.length - 1].end + SNIPPET_CONTEXT, text.length);
+  const shifted = ranges.map(range => ({ start: range.start - start, end: range.end - start }));
+
+  return (start > 0 ? '...' : '') + highlight(text.slice(start, end), shifted) + (end < text.length ? '...' : '');
+}
+
+/**
+ * Count facet values over a set of documents
+ * @param {Array} documents - Matching documents
+ * @returns {Object} Counts per section type and per author
+ */
+function buildFacets(documents) {
+  const facets = { types: {}, authors: {} };
+
+  for (const document of documents) {
+    for (const section of document.sections) {
+      facets.types[section.type] = (facets.types[section.type] || 0) + 1;
+    }
+    const author = document.author || 'unknown';
+    facets.authors[author] = (facets.authors[author] || 0) + 1;
+  }
+
+  return facets;
+}
+
+/**
+ * Search stored documents
+ * @param {Object} options - Search options
+ * @param {string} options.q - Free-text query (all terms must match)
+ * @param {string|Array} options.type - Section type filter (comma-separated or array)
+ * @param {string} options.author - Author filter (case-insensitive substring)
+ * @param {string} options.from - Created at or after this date
+ * @param {string} options.to - Created at or before this date
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Page size (max 100)
+ * @returns {Promise<Object>} Results with highlighted matches, facets, pagination and the
+ *   normalized query; invalid types or dates throw errors with status 400
+ */
+async function searchDocuments(options = {}) {
+  const terms = parseTerms(options.q);
+  const types = (Array.isArray(options.type) ? options.type : (options.type || '').split(','))
+    .map(type => type.trim())
+    .filter(Boolean);
+
+  const invalidTypes = types.filter(type => !SECTION_TYPES.includes(type));
+  if (invalidTypes.length > 0) {
+    const error = new Error(`Invalid section type: ${invalidTypes.join(', ')}. Use: ${SECTION_TYPES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const author = options.author ? fold(options.author).folded : null;
+  const from = parseDate(options.from);
+  const to = parseDate(options.to, true);
+  const page = Math.max(parseInt(options.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+
+  const documents = await getAllDocuments();
+  const filtered = documents.filter(document => {
+    if (author && !fold(document.author || '').folded.includes(author)) return false;
+    if (!inDateRange(document.createdAt, from, to)) return false;
+    if (types.length > 0 && !document.sections.some(section => types.includes(section.type))) return false;
+    return true;
+  });
+
+  const results = [];
+  for (const document of filtered) {
+    const items = document.sections.filter(section => types.length === 0 || types.includes(section.type));
+    const searchable = [document.title, document.description || '', ...items.map(item => item.content)];
+
+    // Every term must appear somewhere in the document
+    const haystack = fold(searchable.join('\n')).folded;
+    if (!terms.every(term => haystack.includes(term))) continue;
+
+    const matches = [];
+    let score = 0;
+
+    if (terms.length > 0) {
+      const titleRanges = findRanges(document.title, terms);
+      if (titleRanges.length > 0) {
+        matches.push({ field: 'title', text: document.title, highlighted: highlight(document.title, titleRanges) });
+        score += titleRanges.length * 3;
+      }
+
+      const descriptionRanges = findRanges(document.description || '', terms);
+      if (descriptionRanges.length > 0) {
+        matches.push({ field: 'description', highlighted: snippet(document.description, descriptionRanges) });
+        score += descriptionRanges.length;
+      }
+
+      for (const item of items) {
+        const itemRanges = findRanges(item.content, terms);
+        if (itemRanges.length > 0) {
+          matches.push({ field: 'item', type: item.type, text: item.content, highlighted: highlight(item.content, itemRanges) });
+          score += itemRanges.length * 2;
+        }
+      }
+    } else {
+      // No free text: the filtered items themselves are the matches
+      for (const item of types.length > 0 ? items : []) {
+        matches.push({ field: 'item', type: item.type, text: item.content, highlighted: escapeHtml(item.content) });
+      }
+    }
+
+    results.push({ document, matches, score });
+  }
+
+  results.sort((a, b) => b.score - a.score || b.document.updatedAt.localeCompare(a.document.updatedAt));
+
+  const total = results.length;
+  const start = (page - 1) * limit;
+
+  return {
+    query: {
+      q: options.q || '',
+      type: types,
+      author: options.author || null,
+      from: options.from || null,
+      to: options.to || null
+    },
+    results: results.slice(start, start + limit).map(({ document, matches, score }) => ({
+      id: document.id,
+      title: document.title,
+      author: document.author,
+      filename: document.filename,
+      version: document.version,
+      createdAt: document.createdAt,
+      updatedAt: document.updatedAt,
+      score,
+      matches
+    })),
+    facets: buildFacets(results.map(result => result.document)),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  searchDocuments,
+  SECTION_TYPES
+};
@@ -0,0 +1,156 @@
+/**
+ * JSON output contract of the section prompts. The model answers with
+ * { "items": [{ "text", "type", "details" }] }; responses are validated here
+ * before they become tagged document lines.
+ */
+const { isBlockLine, splitItems } = require('./markdownBlocks');
+
+/**
+ * Build the output instructions appended to the system prompt of a section
+ * @param {string} sectionType - Type of the section being processed
+ * @param {Array<string>} allowedTypes - Types an item may be classified as
+ * @returns {string} Instructions
+ */
+function buildOutputInstructions(sectionType, allowedTypes) {
+  return [
+    'Formato da resposta:',
+    '- Responda somente com um objeto JSON, sem texto antes ou depois e sem blocos de código.',
+    '- Formato: {"items": [{"text": "...", "type": "...", "details": "..."}]}',
+    '- "text": o item reescrito, em uma única linha.',
+    '- Mantenha caminhos, parâmetros, URLs e símbolos da entrada; use Markdown inline quando ajudar (`código`, **negrito**, _itálico_, [texto](url)).',
+    `- "type": um de ${allowedTypes.map(type => `"${type}"`).join(', ')}. Use "${sectionType}", a não ser que o item claramente pertença a outro tipo.`,
+    '- "details": opcional; um complemento curto que não caiba no texto do item, ou um bloco Markdown (lista de passos, bloco de código, tabela) quando a entrada trouxer passos, código ou tabelas.',
+    '- Inclua um objeto em "items" para cada item da entrada.'
+  ].join('\n');
+}
+
+/**
+ * Build the message that asks the model to fix an invalid response
+ * @param {Error} error - Validation error
+ * @returns {string} Correction prompt
+ */
+function buildCorrectionPrompt(error) {
+  return `Sua resposta não segue o formato pedido: ${error.message}\nResponda novamente apenas com o objeto JSON no formato {"items": [{"text": "...", "type": "...", "details": "..."}]}.`;
+}
+
+/**
+ * Create a validation error for a model response
+ * @param {string} message - Problem description (sent back to the model)
+ * @returns {Error} Error flagged with invalidOutput
+ */
+function outputError(message) {
+  const error = new Error(message);
+  error.invalidOutput = true;
+  return error;
+}
+
+/**
+ * Collapse whitespace so an item always fits on one document line
+ * @param {string} text - Text
+ * @returns {string} Single-line text
+ */
+function toSingleLine(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize item details: short complements become one line, Markdown blocks keep their lines
+ * @param {string} details - Details
+ * @returns {string} Details
+ */
+function normalizeDetails(details) {
+  const text = details.replace(/\r\n?/g, '\n').replace(/^\n+|\s+$/g, '');
+  return text.includes('\n') || isBlockLine(text) ? text : toSingleLine(text);
+}
+
+/**
+ * Parse and validate a section response
+ * @param {string} raw - Model response
+ * @param {Object} options - Validation options
+ * @param {string} options.sectionType - Type used for items without a type
+ * @param {Array<string>} options.allowedTypes - Accepted item types
+ * @returns {Array<Object>} Items ({ text, type, details })
+ * @throws {Error} With invalidOutput set when the response breaks the contract
+ */
+function parseSectionOutput(raw, { sectionType, allowedTypes }) {
+  // Models often wrap JSON in a code fence even when told not to
+  const text = (raw || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw outputError(`a resposta não é um JSON válido (${error.message}).`);
+  }
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.items)) {
+    throw outputError('o JSON deve ser um objeto com a lista "items".');
+  }
+  if (data.items.length === 0) {
+    throw outputError('a lista "items" está vazia.');
+  }
+
+  return data.items.map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      throw outputError(`items[${index}] deve ser um objeto.`);
+    }
+    if (typeof item.text !== 'string' || !item.text.trim()) {
+      throw outputError(`items[${index}].text deve ser um texto não vazio.`);
+    }
+    if (item.type !== undefined && item.type !== null && !allowedTypes.includes(String(item.type).toLowerCase())) {
+      throw outputError(`items[${index}].type inválido ("${item.type}"); use um de: ${allowedTypes.join(', ')}.`);
+    }
+    if (item.details !== undefined && item.details !== null && typeof item.details !== 'string') {
+      throw outputError(`items[${index}].details deve ser um texto.`);
+    }
+
+    const details = item.details ? normalizeDetails(item.details) : '';
+    return {
+      text: toSingleLine(item.text.replace(/^\s*\[[^\]]+\]\s*/, '')),
+      type: item.type ? String(item.type).toLowerCase() : sectionType,
+      ...(details ? { details } : {})
+    };
+  });
+}
+
+/**
+ * Turn plain text (one item per line) into items of a single type. Used for
+ * the raw input when the model fails and for free-text fixtures. Markdown
+ * blocks (steps, code, tables) stay with the line before them as its details.
+ * @param {string} text - Text
+ * @param {string} sectionType - Item type
+ * @returns {Array<Object>} Items ({ text, type, details })
+ */
+function textToItems(text, sectionType) {
+  return splitItems(text)
+    .map(item => ({ ...item, head: item.head.replace(/^\s*\[[^\]]+\]\s*/, '').trim() }))
+    .filter(item => item.head)
+    .map(item => ({ text: item.head, type: sectionType, ...(item.body ? { details: item.body } : {}) }));
+}
+
+/**
+ * Format items as tagged document lines ("[type] text - details"). Markdown
+ * details go on the following lines, indented, so they stay with the item.
+ * @param {Array<Object>} items - Items ({ text, type, details })
+ * @returns {Array<string>} Tagged lines (one entry per item)
+ */
+function itemsToTaggedLines(items) {
+  return items.map(item => {
+    const line = `[${item.type}] ${item.text}`;
+    if (!item.details) {
+      return line;
+    }
+    if (item.details.includes('\n') || isBlockLine(item.details)) {
+      return [line, ...item.details.split('\n').map(detail => (detail ? `  ${detail}` : ''))].join('\n');
+    }
+    return `${line} - ${item.details}`;
+  });
+}
+
+module.exports = {
+  buildOutputInstructions,
+  buildCorrectionPrompt,
+  parseSectionOutput,
+  textToItems,
+  itemsToTaggedLines
+};
@@ -1,192 +1,267 @@
-const OpenAI = require('openai');
 const { API_TIMEOUT, MAX_RETRIES, RETRY_DELAY } = require('../config/timeouts');
+const { getLlmMode, readFixture, recordFixture } = require('./llmMode');
+const { resolveChain, completeWithFallback } = require('./llm');
+const { getCachedResponse, setCachedResponse } = require('./promptCache');
+const { renderTemplate } = require('./promptStore');
+const { trackUsage } = require('./usageService');
+const {
+  getProcessableTypes,
+  getDefaultSectionType,
+  matchTag,
+  getPromptKey,
+  getTemplateName,
+  getHeadingLabel
+} = require('./sectionTypeRegistry');
+const {
+  buildOutputInstructions,
+  buildCorrectionPrompt,
+  parseSectionOutput,
+  textToItems,
+  itemsToTaggedLines
+} = require('./sectionOutput');
 
-if (!process.env.OPENROUTER_API_KEY) {
-  throw new Error('OPENROUTER_API_KEY environment variable is required.');
-}
+/**
+ * Render the exact messages sent to the model for a template: templates of a
+ * section type get the JSON output contract appended to their system message.
+ * Shared by processSection and the /api/prompts render preview.
+ * @param {string} name - Template name
+ * @param {Object} variables - Template variables
+ * @param {Object} options - Render options
+ * @param {number} options.version - Template version (defaults to the active version)
+ * @param {string} options.sectionType - Marker of the section processed (defaults to the type using the template)
+ * @returns {Promise<Object>} Rendered template ({ messages, ... })
+ */
+async function renderPromptMessages(name, variables, { version, sectionType } = {}) {
+  const rendered = await renderTemplate(name, variables, { version });
 
-const openRouter = new OpenAI({
-  apiKey: process.env.OPENROUTER_API_KEY,
-  baseURL: 'https://openrouter.ai/api/v1',
-  defaultHeaders: {
-    'HTTP-Referer': process.env.OPENROUTER_REFERER || 'https://phosdocs.com',
-    'X-Title': 'PhosDocs - Section Processor'
+  const processableTypes = getProcessableTypes();
+  const marker = sectionType || (processableTypes.find(type => getTemplateName(type) === name) || {}).marker;
+  if (!marker) {
+    return rendered;
   }
-});
+
+  const [systemMessage, userMessage] = rendered.messages;
+  const instructions = buildOutputInstructions(marker, processableTypes.map(type => type.marker));
+  return {
+    ...rendered,
+    messages: [
+      { role: 'system', content: `${systemMessage.content.trim()}\n\n${instructions}` },
+      userMessage
+    ]
+  };
+}
 
 /**
- * Sleep function for retry delays
+ * Render the messages of a section type. Custom types whose template does not
+ * exist yet use the default type's template.
+ * @param {Object} type - Section type
+ * @param {Object} variables - Template variables
+ * @returns {Promise<Object>} Rendered template ({ messages, ... })
  */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+async function renderSectionTemplate(type, variables) {
+  try {
+    return await renderPromptMessages(getTemplateName(type), variables, { sectionType: type.marker });
+  } catch (error) {
+    const defaultTemplate = getTemplateName(getDefaultSectionType());
+    if (error.status !== 404 || getTemplateName(type) === defaultTemplate) {
+      throw error;
+    }
+    console.warn(`Template ${getTemplateName(type)} não encontrado, usando ${defaultTemplate}`);
+    return renderPromptMessages(defaultTemplate, variables, { sectionType: type.marker });
+  }
+}
 
 /**
- * Process a single section with specific prompt
- * @param {string} sectionType - Type of section (funcionalidade, bug, performance, segurança, recurso)
+ * Process a single section with specific prompt. The model answers with the
+ * JSON contract of sectionOutput; invalid answers are sent back with the
+ * validation error; failing routes give way to the fallback chain, and the
+ * raw input is used once every route failed.
+ * @param {string} sectionType - Marker of a section type with a prompt (funcionalidade, bug, segurança... see config/sectionTypes)
  * @param {string} content - Content to process
  * @param {string} title - Document title
- * @returns {Promise<string>} Processed section
+ * @param {Object} options - Processing options
+ * @param {AbortSignal} options.signal - Aborts in-flight and pending LLM calls
+ * @param {Object} options.variables - Extra prompt template variables (audience, language, product...)
+ * @param {boolean} options.noCache - Skip the prompt cache lookup (the fresh response is still cached)
+ * @param {Object} options.cacheStats - Counters ({ hits, misses }) updated on each cache lookup
+ * @param {Array} options.usageLog - Collects the token usage of the call (recorded right away when omitted)
+ * @returns {Promise<Object>} Generated items ({ text, type, details }) and what produced them:
+ *   { items, provider, model, source } with source one of model, cache, fallback, mock, replay
  */
-async function processSection(sectionType, content, title) {
-  // Mapeamento de tipos para chaves do .env
-  const sectionTypeMap = {
-    funcionalidade: 'FUNCIONALIDADE',
-    bug: 'BUG',
-    performance: 'PERFORMANCE',
-    segurança: 'SEGURANCA',
-    recurso: 'RECURSO'
-  };
-
-  const envKey = sectionTypeMap[sectionType];
-  if (!envKey) {
+async function processSection(sectionType, content, title, { signal, variables = {}, noCache = false, cacheStats, usageLog } = {}) {
+  const processableTypes = getProcessableTypes();
+  const type = processableTypes.find(candidate => candidate.marker === sectionType);
+  if (!type) {
     throw new Error(`Tipo de seção não suportado: ${sectionType}`);
   }
 
-  // Busca prompts do .env
-  const systemPrompt = process.env[`SECTION_${envKey}_SYSTEM`];
-  const userPromptTemplate = process.env[`SECTION_${envKey}_USER`];
+  const allowedTypes = processableTypes.map(candidate => candidate.marker);
+  const parseOutput = (raw) => parseSectionOutput(raw, { sectionType, allowedTypes });
 
-  if (!systemPrompt || !userPromptTemplate) {
-    throw new Error(`Prompts para seção ${sectionType} não configurados no .env`);
+  // Offline modes never reach the model; replay answers as mock when nothing was recorded
+  const mode = getLlmMode();
+  const recorded = mode === 'replay' ? await readFixture('section', { sectionType, title, content }) : null;
+  if (mode === 'mock' || (mode === 'replay' && recorded === null)) {
+    // Deterministic: every input line comes back as a generated item
+    return { items: textToItems(content, sectionType), provider: null, model: null, source: 'mock' };
+  }
+  if (mode === 'replay') {
+    let items;
+    try {
+      items = parseOutput(recorded);
+    } catch (error) {
+      // Fixtures recorded before the JSON contract hold one item per line
+      items = textToItems(recorded, sectionType);
+    }
+    return { items, provider: null, model: null, source: 'replay' };
   }
 
-  // Substitui placeholders no prompt do usuário
-  const userPrompt = userPromptTemplate
-    .replace('{TITLE}', title)
-    .replace('{CONTENT}', content);
+  // Renderiza o template de prompt da seção (prompts/section-<key>) com o contrato de saída
+  const { messages: promptMessages } = await renderSectionTemplate(type, { ...variables, title, content });
+  const systemPrompt = promptMessages[0].content;
+  const userPrompt = promptMessages[1].content;
 
+  // Provider and model can be routed per section type (SECTION_<TYPE>_PROVIDER / _MODEL),
+  // with fallbacks in SECTION_<TYPE>_FALLBACKS or LLM_FALLBACKS
+  const routeKey = `SECTION_${getPromptKey(type)}`;
   const sectionMaxRetries = parseInt(process.env.SECTION_MAX_RETRIES) || MAX_RETRIES;
   const sectionRetryDelay = parseInt(process.env.SECTION_RETRY_DELAY) || RETRY_DELAY;
   const sectionTimeout = parseInt(process.env.SECTION_TIMEOUT) || API_TIMEOUT;
+  const temperature = parseFloat(process.env.SECTION_TEMPERATURE) || 0.5;
 
-  let lastError;
-  for (let attempt = 1; attempt <= sectionMaxRetries; attempt++) {
-    try {
-      console.log(`Processando seção ${sectionType} - Tentativa ${attempt} de ${sectionMaxRetries}`);
-
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`API timeout after ${sectionTimeout / 1000} seconds`)), sectionTimeout);
-      });
-
-      const apiPromise = openRouter.chat.completions.create({
-        model: process.env.OPENROUTER_MODEL || 'openai/gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: systemPrompt
-          },
-          {
-            role: 'user',
-            content: userPrompt
-          }
-        ],
-        max_tokens: parseInt(process.env.SECTION_MAX_TOKENS) || 500,
-        temperature: parseFloat(process.env.SECTION_TEMPERATURE) || 0.5,
-        timeout: parseInt(process.env.SECTION_TIMEOUT) || API_TIMEOUT,
-      });
-
-      const completion = await Promise.race([apiPromise, timeoutPromise]);
-      const result = completion.choices[0].message.content.trim();
-      
-      console.log(`Seção ${sectionType} processada com sucesso`);
-      return result;
-
-    } catch (error) {
-      lastError = error;
-      console.error(`Tentativa ${attempt} falhou para seção ${sectionType}:`, error.message);
-
-      if (attempt < sectionMaxRetries) {
-        console.log(`Aguardando ${sectionRetryDelay}ms antes da próxima tentativa...`);
-        await sleep(sectionRetryDelay);
+  // Identical prompts to a model of the chain give reusable completions; only valid responses are cached
+  const cacheRequest = (model) => ({ model, systemPrompt, userPrompt, temperature });
+  let cachedResult = null;
+  if (!noCache) {
+    for (const { provider, model } of resolveChain(routeKey)) {
+      const cached = await getCachedResponse(cacheRequest(model));
+      if (cached === null) continue;
+      try {
+        cachedResult = { items: parseOutput(cached), provider: provider.name, model, source: 'cache' };
+      } catch (error) {
+        console.warn(`Resposta em cache inválida para seção ${sectionType}: ${error.message}`);
+        continue;
       }
+      console.log(`Seção ${sectionType} obtida do cache (${provider.name}/${model})`);
+      await recordFixture('section', { sectionType, title, content }, cached);
+      break;
     }
   }
+  if (cacheStats) {
+    cacheStats[cachedResult ? 'hits' : 'misses']++;
+  }
+  if (cachedResult) {
+    return cachedResult;
+  }
 
-  // Fallback: return a basic formatted section
-  console.error(`Todas as tentativas falharam para seção ${sectionType}, usando fallback`);
-  return `[${sectionType}] ${sectionType.charAt(0).toUpperCase() + sectionType.slice(1)}\n${content}`;
+  try {
+    const { result: items, content: response, provider, model } = await completeWithFallback(routeKey, {
+      messages: promptMessages,
+      maxTokens: parseInt(process.env.SECTION_MAX_TOKENS) || 500,
+      temperature,
+      timeout: sectionTimeout,
+      attempts: sectionMaxRetries,
+      retryDelay: sectionRetryDelay,
+      signal,
+      parse: parseOutput,
+      // A nova tentativa mostra ao modelo a própria resposta e o erro de validação
+      correct: (error, invalidResponse) => [
+        ...promptMessages,
+        { role: 'assistant', content: invalidResponse },
+        { role: 'user', content: buildCorrectionPrompt(error) }
+      ],
+      onCompletion: (route, completion) => trackUsage(usageLog, { kind: 'section', sectionType, provider: route.provider.name, completion }),
+      label: `seção ${sectionType}`
+    });
+
+    console.log(`Seção ${sectionType} processada com sucesso por ${provider}/${model}`);
+    await recordFixture('section', { sectionType, title, content }, response);
+    await setCachedResponse(cacheRequest(model), response);
+    return { items, provider, model, source: 'model' };
+
+  } catch (error) {
+    // Cancelled work must not fall back to the raw input
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+
+    // Fallback: keep the input items as they were written
+    console.error(`Todas as tentativas falharam para seção ${sectionType}, usando o conteúdo original:`, error.message);
+    return { items: textToItems(content, sectionType), provider: null, model: null, source: 'fallback' };
+  }
 }
 
 /**
  * Process all sections individually and concatenate
  * @param {Object} data - The documentation data
- * @param {string} sectionType - Type of section
+ * @param {Object} data.promptVariables - Extra prompt template variables (audience, language, product...)
+ * @param {Object} options - Processing options
+ * @param {Function} options.onProgress - Called with { stage: 'section', status, index, total, type }
+ * @param {AbortSignal} options.signal - Stops processing and aborts in-flight LLM calls
+ * @param {boolean} options.noCache - Skip prompt cache lookups
+ * @param {Object} options.cacheStats - Counters ({ hits, misses }) updated on each cache lookup
+ * @param {Array} options.usageLog - Collects the token usage of every section call
+ * @param {Array} options.provenance - Collects the generated items of each input item and what produced them ({ input, items, producedBy })
  * @returns {Promise<string>} Concatenated sections
  */
-
-// async function processAllSections(data) {
-async function processAllSections(data, sectionType) {
-  // COMENTAR E DESCOMENTAR
-  const mockResponses = {
-    funcionalidade: `[funcionalidade] Nova funcionalidade implementada\nDetalhes: Adição de novos recursos para melhorar a experiência do usuário.`,
-    bug: `[bug] Correção do bug em \nSolução implementada: Ajustes realizados no código para resolver o problema.`,
-    performance: `[performance] Otimização de performance em \nMelhorias implementadas: Otimizações realizadas para melhorar o desempenho.`,
-    segurança: `[segurança] Reforço de segurança em\nMedidas implementadas: Implementação de controles de segurança adicionais.`,
-    recurso: `[recurso] Novo recurso em \nBenefícios: Melhorias na experiência do usuário e funcionalidades adicionais.`
-  };
-
-  // Se não houver sectionType, tenta extrair das seções
-  if (!sectionType) {
-    const sections = extractSectionsFromContent(data.description || '');
-    if (sections.length > 0) {
-      sectionType = sections[0].type;
-    } else {
-      sectionType = 'funcionalidade'; // Tipo padrão
+async function processAllSections(data, { onProgress = () => {}, signal, noCache, cacheStats, usageLog, provenance } = {}) {
+  try {
+    const { title, description } = data;
+    const variables = { author: data.author, ...data.promptVariables };
+    
+    // Split content into sections if it's already formatted
+    let sections = extractSectionsFromContent(description)
+      .filter(section => section.type && section.content);
+    
+    // If no sections were found, process the entire content as a single section
+    if (sections.length === 0) {
+      console.log('Nenhuma seção encontrada, processando conteúdo completo...');
+      const defaultType = getDefaultSectionType().marker ? getDefaultSectionType() : getProcessableTypes()[0];
+      sections = [{ type: defaultType.marker, content: description }];
     }
-  }
 
-  return mockResponses[sectionType] || `[${sectionType}] ${data.description || ''}`;
-}
+    // Labels let clients show custom section types they don't know
+    const labelOf = (marker) => getHeadingLabel(getProcessableTypes().find(type => type.marker === marker));
 
-  
-  // try {
-  //   const { title, description, images } = data;
-    
-  //   // Split content into sections if it's already formatted
-  //   const sections = extractSectionsFromContent(description);
+    onProgress({
+      stage: 'sections',
+      status: 'start',
+      total: sections.length,
+      sections: sections.map((section, index) => ({ index, type: section.type, label: labelOf(section.type) }))
+    });
     
-  //   const results = [];
+    const results = [];
     
-  //   // Process each section individually
-  //   for (const section of sections) {
-  //     if (section.type && section.content) {
-  //       const processedSection = await processSection(section.type, section.content, title);
-  //       const lines = processedSection
-  //         .split('\n')
-  //         .map((l) => l.trim())
-  //         .filter((l) => l.length > 0);
-
-  //       for (const line of lines) {
-  //         const cleanedLine = line.replace(/^\s*\[[^\]]+\]\s*/i, '').trim();
-  //         results.push(`[${section.type}] ${cleanedLine}`);
-  //       }
-  //     }
-  //   }
-    
-  //   // If no sections were found, process the entire content as a single section
-  //   if (results.length === 0) {
-  //     console.log('Nenhuma seção encontrada, processando conteúdo completo...');
-  //     const processedContent = await processSection('funcionalidade', description, title);
-  //     const lines = processedContent
-  //       .split('\n')
-  //       .map((l) => l.trim())
-  //       .filter((l) => l.length > 0);
-  //     for (const line of lines) {
-  //       const cleanedLine = line.replace(/^\s*\[[^\]]+\]\s*/i, '').trim();
-  //       results.push(`[funcionalidade] ${cleanedLine}`);
-  //     }
-  //   }
+    // Process each section individually
+    for (const [index, section] of sections.entries()) {
+      const progress = { stage: 'section', index, total: sections.length, type: section.type, label: labelOf(section.type) };
+      onProgress({ ...progress, status: 'start' });
+
+      signal?.throwIfAborted();
+      const { items, ...producedBy } = await processSection(section.type, section.content, title, { signal, variables, noCache, cacheStats, usageLog });
+      const lines = itemsToTaggedLines(items);
+      results.push(...lines);
+      provenance?.push({ input: section, items, producedBy });
+
+      onProgress({ ...progress, status: 'done', itemCount: lines.length, model: producedBy.model });
+    }
+
+    onProgress({ stage: 'sections', status: 'done', total: sections.length });
     
-  //   // Concatenate all sections
-  //   const finalContent = results.join('\n');
+    // Concatenate all sections
+    const finalContent = results.join('\n');
     
-  //   console.log(`Processamento concluído. ${results.length} seções geradas.`);
-  //   return finalContent;
+    console.log(`Processamento concluído. ${results.length} seções geradas.`);
+    return finalContent;
     
-  // } catch (error) {
-  //   console.error('Erro no processamento de seções:', error);
-  //   throw new Error(`Falha no processamento de seções: ${error.message}`);
-  // }
-// }
+  } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    console.error('Erro no processamento de seções:', error);
+    throw new Error(`Falha no processamento de seções: ${error.message}`);
+  }
+}
 
 /**
  * Extract sections from pre-formatted content
@@ -202,8 +277,9 @@ function extractSectionsFromContent(content) {
     const trimmedLine = line.trim();
     if (!trimmedLine) continue;
     
-    // Check for section markers
-    const sectionMatch = trimmedLine.match(/^\[(funcionalidade|bug|performance|segurança|recurso)\]\s*(.*)/i);
+    // Check for section markers (marker, id or alias of a type with a prompt)
+    const tagged = matchTag(trimmedLine);
+    const sectionMatch = tagged && tagged.type.marker ? tagged : null;
     
     if (sectionMatch) {
       // Save previous section if exists, combining title line + accumulated description
@@ -216,16 +292,17 @@ function extractSectionsFromContent(content) {
       
       // Start new section
       currentSection = {
-        type: sectionMatch[1].toLowerCase(),
-        content: (sectionMatch[2] || '').trim(),
+        type: sectionMatch.type.marker,
+        content: sectionMatch.content,
         description: ''
       };
     } else if (currentSection) {
-      // Add line to current section description
+      // Add line to current section description, keeping its indentation (nested lists, code)
+      const descriptionLine = line.replace(/\s+$/, '');
       if (currentSection.description) {
-        currentSection.description += '\n' + trimmedLine;
+        currentSection.description += '\n' + descriptionLine;
       } else {
-        currentSection.description = trimmedLine;
+        currentSection.description = descriptionLine;
       }
     }
   }
@@ -244,5 +321,6 @@ function extractSectionsFromContent(content) {
 module.exports = {
   processAllSections,
   processSection,
+  renderPromptMessages,
   extractSectionsFromContent
 };
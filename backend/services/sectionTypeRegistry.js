@@ -0,0 +1,149 @@
+const { SECTION_TYPES, DEFAULT_SECTION_TYPE } = require('../config/sectionTypes');
+const { DEFAULT_LANGUAGE } = require('./localeService');
+
+// Registry in display order; tags and keywords are matched lower-case
+const types = SECTION_TYPES
+  .map(type => ({
+    ...type,
+    marker: type.marker ? type.marker.toLowerCase() : null,
+    aliases: (type.aliases || []).map(alias => alias.toLowerCase()),
+    keywords: (type.keywords || []).map(keyword => keyword.toLowerCase()),
+    labels: type.labels || {},
+    style: type.style || {}
+  }))
+  .sort((a, b) => a.order - b.order);
+
+// Registry in keyword precedence, for untagged lines
+const keywordTypes = [...types].sort((a, b) =>
+  (a.keywordPriority !== undefined ? a.keywordPriority : a.order) -
+  (b.keywordPriority !== undefined ? b.keywordPriority : b.order));
+
+// "[tag] rest of the line"
+const TAG_PATTERN = /^\[([^\]]+)\]\s*(.*)$/;
+
+/**
+ * Get every section type, in display order
+ * @returns {Array} Section types
+ */
+function getSectionTypes() {
+  return types;
+}
+
+/**
+ * Get the ids of every section type (the types stored in documents)
+ * @returns {Array<string>} Type ids
+ */
+function getSectionTypeIds() {
+  return types.map(type => type.id);
+}
+
+/**
+ * Get the type used for untagged lines no keyword matches
+ * @returns {Object} Section type
+ */
+function getDefaultSectionType() {
+  return types.find(type => type.id === DEFAULT_SECTION_TYPE) || types[0];
+}
+
+/**
+ * Find the type a tag stands for: its marker, its id or one of its aliases
+ * @param {string} tag - Tag without brackets (case-insensitive)
+ * @returns {Object|null} Section type
+ */
+function findTypeByTag(tag) {
+  const lowerTag = (tag || '').trim().toLowerCase();
+  return types.find(type => type.marker === lowerTag || type.id === lowerTag || type.aliases.includes(lowerTag)) || null;
+}
+
+/**
+ * Get the description tag of the type a tag stands for (its marker, or its id
+ * for types without one), so mappings keep working when markers are renamed
+ * @param {string} tag - Marker, id or alias of a type
+ * @returns {string|null} Tag, or null when no type matches
+ */
+function resolveTag(tag) {
+  const type = findTypeByTag(tag);
+  return type ? type.marker || type.id : null;
+}
+
+/**
+ * Split a leading tag off a line when it names a known type
+ * @param {string} line - Line
+ * @returns {Object|null} { type, content }, or null for untagged lines
+ */
+function matchTag(line) {
+  const match = line.trim().match(TAG_PATTERN);
+  const type = match ? findTypeByTag(match[1]) : null;
+  return type ? { type, content: match[2].trim() } : null;
+}
+
+/**
+ * Classify a line of generated content: by its tag, else by keywords (in
+ * keywordPriority order), else as the default type
+ * @param {string} line - Content line
+ * @returns {Object} { type, content }
+ */
+function classifyLine(line) {
+  const tagged = matchTag(line);
+  if (tagged) {
+    return tagged;
+  }
+
+  const lowerLine = line.toLowerCase();
+  const type = keywordTypes.find(candidate => candidate.keywords.some(keyword => lowerLine.includes(keyword)));
+  return { type: type || getDefaultSectionType(), content: line.trim() };
+}
+
+/**
+ * Get the types the model processes (those with a description marker)
+ * @returns {Array} Section types
+ */
+function getProcessableTypes() {
+  return types.filter(type => type.marker);
+}
+
+/**
+ * Route env prefix key of a type (SECTION_<KEY>_*): promptKey, or the marker without accents
+ * @param {Object} type - Section type
+ * @returns {string} Prompt key
+ */
+function getPromptKey(type) {
+  return type.promptKey || (type.marker || type.id)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .toUpperCase();
+}
+
+/**
+ * Prompt template of a type: template, or section-<promptKey>
+ * @param {Object} type - Section type
+ * @returns {string} Template name
+ */
+function getTemplateName(type) {
+  return type.template || `section-${getPromptKey(type).toLowerCase()}`;
+}
+
+/**
+ * Heading of a type in a language (falls back to DEFAULT_LANGUAGE, then the id)
+ * @param {Object} type - Section type
+ * @param {string} language - Language tag
+ * @returns {string} Heading label
+ */
+function getHeadingLabel(type, language = DEFAULT_LANGUAGE) {
+  return type.labels[language] || type.labels[DEFAULT_LANGUAGE] || type.id;
+}
+
+module.exports = {
+  getSectionTypes,
+  getSectionTypeIds,
+  getDefaultSectionType,
+  findTypeByTag,
+  resolveTag,
+  matchTag,
+  classifyLine,
+  getProcessableTypes,
+  getPromptKey,
+  getTemplateName,
+  getHeadingLabel
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const {
+  STORAGE_PROVIDER,
+  LOCAL_STORAGE_DIR,
+  STORAGE_SIGNING_SECRET,
+  S3_BUCKET,
+  S3_REGION,
+  S3_ENDPOINT,
+  S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY,
+  S3_FORCE_PATH_STYLE,
+  S3_PREFIX
+} = require('../../config/storage');
+
+/**
+ * Storage provider interface shared by all drivers:
+ *   name                          - Provider name ('local', 's3')
+ *   put(key, data, { contentType }) - Store a Buffer, returns { key, url }
+ *   get(key)                      - Read a file as a Buffer
+ *   delete(key)                   - Remove a file
+ *   exists(key)                   - Whether a file exists
+ *   list(prefix)                  - Files as { key, size, modifiedAt }
+ *   getUrl(key)                   - Stable URL the frontend can use
+ *   getSignedUrl(key, expiresIn)  - Temporary URL valid for expiresIn seconds
+ */
+let storage = null;
+
+/**
+ * Get the storage driver selected by STORAGE_PROVIDER
+ * @returns {Object} Storage driver
+ */
+function getStorage() {
+  if (storage) {
+    return storage;
+  }
+
+  switch (STORAGE_PROVIDER) {
+    case 'local':
+      if (!STORAGE_SIGNING_SECRET) {
+        console.warn('⚠️  STORAGE_SIGNING_SECRET is not set; using a random secret, signed URLs will not survive a restart');
+      }
+      storage = require('./localStorage')({
+        directory: LOCAL_STORAGE_DIR,
+        signingSecret: STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex')
+      });
+      break;
+    case 's3':
+      storage = require('./s3Storage')({
+        bucket: S3_BUCKET,
+        region: S3_REGION,
+        endpoint: S3_ENDPOINT,
+        accessKeyId: S3_ACCESS_KEY_ID,
+        secretAccessKey: S3_SECRET_ACCESS_KEY,
+        forcePathStyle: S3_FORCE_PATH_STYLE,
+        prefix: S3_PREFIX
+      });
+      break;
+    default:
+      throw new Error(`Unsupported storage provider: ${STORAGE_PROVIDER}`);
+  }
+
+  return storage;
+}
+
+module.exports = {
+  getStorage
+};
@@ -0,0 +1,93 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a storage driver backed by the local filesystem
+ * @param {Object} options - Driver options
+ * @param {string} options.directory - Directory where files are kept
+ * @param {string} options.signingSecret - Secret used to sign temporary URLs
+ * @returns {Object} Storage driver
+ */
+function createLocalStorage({ directory, signingSecret }) {
+  /**
+   * Resolve a key to a path inside the storage directory
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const sign = (key, expires) => crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${key}:${expires}`)
+    .digest('hex');
+
+  return {
+    name: 'local',
+
+    async put(key, data) {
+      const filePath = resolveKey(key);
+      await fs.ensureDir(path.dirname(filePath));
+      await fs.writeFile(filePath, data);
+      return { key, url: this.getUrl(key) };
+    },
+
+    async get(key) {
+      return fs.readFile(resolveKey(key));
+    },
+
+    async delete(key) {
+      await fs.remove(resolveKey(key));
+    },
+
+    async exists(key) {
+      return fs.pathExists(resolveKey(key));
+    },
+
+    async list(prefix = '') {
+      if (!await fs.pathExists(directory)) {
+        return [];
+      }
+
+      const files = [];
+      for (const name of await fs.readdir(directory)) {
+        if (name.startsWith('.') || !name.startsWith(prefix)) continue;
+
+        const stats = await fs.stat(path.join(directory, name));
+        if (!stats.isFile()) continue;
+
+        files.push({ key: name, size: stats.size, modifiedAt: stats.mtime });
+      }
+      return files;
+    },
+
+    // Files are not served statically (generated documents are only reachable through
+    // signed URLs); images are served through the backend, as with the S3 driver
+    getUrl(key) {
+      return `/api/images/${key}`;
+    },
+
+    async getSignedUrl(key, expiresIn) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `/api/files/${encodeURIComponent(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    /**
+     * Check a signature produced by getSignedUrl
+     */
+    verifySignature(key, expires, signature) {
+      if (!expires || !signature || parseInt(expires) < Math.floor(Date.now() / 1000)) {
+        return false;
+      }
+      const expected = Buffer.from(sign(key, parseInt(expires)));
+      const received = Buffer.from(String(signature));
+      return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+  };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,106 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Create a storage driver backed by an S3-compatible service (AWS S3, MinIO...)
+ * @param {Object} options - Driver options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Region
+ * @param {string} options.endpoint - Custom endpoint (e.g. http://localhost:9000 for MinIO)
+ * @param {string} options.accessKeyId - Access key
+ * @param {string} options.secretAccessKey - Secret key
+ * @param {boolean} options.forcePathStyle - Use path-style URLs (required by MinIO)
+ * @param {string} options.prefix - Key prefix inside the bucket
+ * @returns {Object} Storage driver
+ */
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_PROVIDER is s3');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const toObjectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+
+    async put(key, data, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: toObjectKey(key),
+        Body: data,
+        ContentType: contentType
+      }));
+      return { key, url: this.getUrl(key) };
+    },
+
+    async get(key) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    async list(keyPrefix = '') {
+      const files = [];
+      let continuationToken;
+
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: toObjectKey(keyPrefix),
+          ContinuationToken: continuationToken
+        }));
+
+        for (const object of response.Contents || []) {
+          files.push({
+            key: object.Key.slice(prefix.length),
+            size: object.Size,
+            modifiedAt: object.LastModified
+          });
+        }
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return files;
+    },
+
+    // Objects are private, so they are served through the backend
+    getUrl(key) {
+      return `/api/images/${key}`;
+    },
+
+    async getSignedUrl(key, expiresIn) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }), { expiresIn });
+    }
+  };
+}
+
+module.exports = createS3Storage;
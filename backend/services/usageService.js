@@ -0,0 +1,213 @@
+const path = require('path');
+const { createJsonFileStore } = require('./jsonFileStore');
+const { LLM_PRICES, LOCAL_MODELS_ARE_FREE } = require('../config/pricing');
+const { parseDate, inDateRange } = require('../utils/dateRange');
+
+const USAGE_STORE_PATH = process.env.USAGE_STORE_PATH || path.join(__dirname, '..', 'data', 'usage.json');
+
+const GROUP_FIELDS = ['day', 'model', 'author'];
+
+const store = createJsonFileStore(USAGE_STORE_PATH, 'usage store');
+
+// Load of the in-memory copy of the usage ledger, started on first use. The
+// promise is kept (not its result) so concurrent first calls share one copy
+let entries = null;
+
+/**
+ * Load the usage ledger from disk (once)
+ * @returns {Promise<Array>} Usage entries
+ */
+function loadEntries() {
+  if (!entries) {
+    entries = store.read()
+      .then(data => (data && Array.isArray(data.entries) ? data.entries : []))
+      .catch(error => {
+        // Try again on the next call
+        entries = null;
+        throw error;
+      });
+  }
+  return entries;
+}
+
+/**
+ * Persist the usage ledger to disk
+ * @returns {Promise<void>}
+ */
+async function persistEntries() {
+  return store.write({ entries: await loadEntries() });
+}
+
+/**
+ * Estimate the cost of a call from the price table
+ * @param {string} model - Model name
+ * @param {string} provider - Provider name
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @returns {number|null} Cost in USD, or null when the model has no price
+ */
+function estimateCost(model, provider, promptTokens, completionTokens) {
+  const price = LLM_PRICES[model];
+  if (!price) {
+    return provider === 'local' && LOCAL_MODELS_ARE_FREE ? 0 : null;
+  }
+  return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+}
+
+/**
+ * Build a usage entry from a completion
+ * @param {Object} call - Call details
+ * @param {string} call.kind - Kind of call (section, caption)
+ * @param {string} call.sectionType - Section type (section calls only)
+ * @param {string} call.provider - Provider name
+ * @param {Object} call.completion - Provider result ({ model, usage })
+ * @returns {Object} Usage entry
+ */
+function toUsageEntry({ kind, sectionType, provider, completion }) {
+  const usage = completion.usage || {};
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+
+  return {
+    kind,
+    sectionType: sectionType || null,
+    provider,
+    model: completion.model,
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens || promptTokens + completionTokens,
+    cost: estimateCost(completion.model, provider, promptTokens, completionTokens),
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Track the usage of a completion. Calls made during a generation go to its
+ * usage log (recorded with the document once it is saved); standalone calls
+ * are recorded right away.
+ * @param {Array} usageLog - Usage log of the current generation (optional)
+ * @param {Object} call - Call details (see toUsageEntry)
+ */
+async function trackUsage(usageLog, call) {
+  const entry = toUsageEntry(call);
+  if (usageLog) {
+    usageLog.push(entry);
+    return;
+  }
+
+  try {
+    await recordUsage([entry]);
+  } catch (error) {
+    console.error('Usage tracking error:', error.message);
+  }
+}
+
+/**
+ * Append usage entries to the ledger
+ * @param {Array} usageLog - Usage entries
+ * @param {Object} context - Who and what the calls were for
+ * @param {string} context.author - Document author
+ * @param {string} context.documentId - Document id (null when the generation failed)
+ * @param {string} context.title - Document title
+ */
+async function recordUsage(usageLog, { author = null, documentId = null, title = null } = {}) {
+  if (usageLog.length === 0) return;
+
+  const ledger = await loadEntries();
+  ledger.push(...usageLog.map(entry => ({ ...entry, author: author || null, documentId, title })));
+  await persistEntries();
+}
+
+/**
+ * Sum usage entries
+ * @param {Array} usageLog - Usage entries
+ * @returns {Object} Calls, tokens and cost (cost excludes unpriced models)
+ */
+function summarizeUsage(usageLog) {
+  const summary = {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    unpricedModels: []
+  };
+
+  for (const entry of usageLog) {
+    summary.calls++;
+    summary.promptTokens += entry.promptTokens;
+    summary.completionTokens += entry.completionTokens;
+    summary.totalTokens += entry.totalTokens;
+    if (entry.cost === null) {
+      if (!summary.unpricedModels.includes(entry.model)) {
+        summary.unpricedModels.push(entry.model);
+      }
+    } else {
+      summary.cost += entry.cost;
+    }
+  }
+
+  summary.cost = Math.round(summary.cost * 1e6) / 1e6;
+  return summary;
+}
+
+/**
+ * Build the usage report
+ * @param {Object} options - Report options
+ * @param {string} options.from - Calls at or after this date
+ * @param {string} options.to - Calls at or before this date
+ * @param {string|Array} options.groupBy - Grouping fields (day, model, author); defaults to all three
+ * @returns {Promise<Object>} Totals and per-group usage
+ */
+async function getUsageReport(options = {}) {
+  const groupBy = (Array.isArray(options.groupBy) ? options.groupBy : (options.groupBy || GROUP_FIELDS.join(',')).split(','))
+    .map(field => field.trim())
+    .filter(Boolean);
+
+  const invalidFields = groupBy.filter(field => !GROUP_FIELDS.includes(field));
+  if (invalidFields.length > 0) {
+    const error = new Error(`Invalid groupBy field: ${invalidFields.join(', ')}. Allowed fields: ${GROUP_FIELDS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const from = parseDate(options.from);
+  const to = parseDate(options.to, true);
+
+  const ledger = await loadEntries();
+  const selected = ledger.filter(entry => inDateRange(entry.timestamp, from, to));
+
+  const groups = new Map();
+  for (const entry of selected) {
+    const fields = {
+      day: entry.timestamp.slice(0, 10),
+      model: entry.model,
+      author: entry.author || 'unknown'
+    };
+    const key = groupBy.map(field => fields[field]).join('\u0000');
+    if (!groups.has(key)) {
+      groups.set(key, { fields, entries: [] });
+    }
+    groups.get(key).entries.push(entry);
+  }
+
+  const rows = [...groups.values()].map(group => ({
+    ...Object.fromEntries(groupBy.map(field => [field, group.fields[field]])),
+    ...summarizeUsage(group.entries)
+  }));
+
+  rows.sort((a, b) => groupBy.reduce((result, field) => result || String(a[field]).localeCompare(String(b[field])), 0));
+
+  return {
+    groupBy,
+    totals: summarizeUsage(selected),
+    groups: rows
+  };
+}
+
+module.exports = {
+  trackUsage,
+  recordUsage,
+  summarizeUsage,
+  getUsageReport
+};
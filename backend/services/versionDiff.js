@@ -0,0 +1,138 @@
+// Minimum word overlap for two items to be reported as "changed" instead of removed + added
+const CHANGE_SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * Normalize an item for comparison (case, accents and punctuation insensitive)
+ * @param {string} text - Item text
+ * @returns {string} Normalized text
+ */
+function normalizeItem(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Word-level Jaccard similarity between two items
+ * @param {string} a - First item
+ * @param {string} b - Second item
+ * @returns {number} Similarity between 0 and 1
+ */
+function similarity(a, b) {
+  const wordsA = new Set(normalizeItem(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeItem(b).split(' ').filter(Boolean));
+
+  if (wordsA.size === 0 && wordsB.size === 0) {
+    return 1;
+  }
+
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Group section items by type
+ * @param {Array} sections - Parsed sections ({ type, content })
+ * @returns {Object} Map of type to item contents
+ */
+function groupByType(sections) {
+  return (sections || []).reduce((acc, section) => {
+    (acc[section.type] = acc[section.type] || []).push(section.content);
+    return acc;
+  }, {});
+}
+
+/**
+ * Compare the items of one section type
+ * @param {Array} fromItems - Items in the older version
+ * @param {Array} toItems - Items in the newer version
+ * @returns {Object} Added, removed and changed items plus unchanged count
+ */
+function diffItems(fromItems, toItems) {
+  const remainingFrom = [...fromItems];
+  const remainingTo = [];
+  let unchanged = 0;
+
+  // Exact matches (after normalization) are unchanged
+  for (const item of toItems) {
+    const index = remainingFrom.findIndex(candidate => normalizeItem(candidate) === normalizeItem(item));
+    if (index !== -1) {
+      remainingFrom.splice(index, 1);
+      unchanged++;
+    } else {
+      remainingTo.push(item);
+    }
+  }
+
+  // Pair the most similar leftovers as changed items
+  const changed = [];
+  const added = [];
+  for (const item of remainingTo) {
+    let bestIndex = -1;
+    let bestScore = 0;
+    remainingFrom.forEach((candidate, index) => {
+      const score = similarity(candidate, item);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    if (bestIndex !== -1 && bestScore >= CHANGE_SIMILARITY_THRESHOLD) {
+      changed.push({
+        from: remainingFrom[bestIndex],
+        to: item,
+        similarity: Math.round(bestScore * 100) / 100
+      });
+      remainingFrom.splice(bestIndex, 1);
+    } else {
+      added.push(item);
+    }
+  }
+
+  return {
+    added,
+    removed: remainingFrom,
+    changed,
+    unchanged
+  };
+}
+
+/**
+ * Diff the parsed sections of two document versions, item by item per section type
+ * @param {Array} fromSections - Sections of the older version
+ * @param {Array} toSections - Sections of the newer version
+ * @returns {Object} Per-type differences and overall summary
+ */
+function diffSections(fromSections, toSections) {
+  const fromGroups = groupByType(fromSections);
+  const toGroups = groupByType(toSections);
+  const types = [...new Set([...Object.keys(fromGroups), ...Object.keys(toGroups)])];
+
+  const sections = {};
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+  for (const type of types) {
+    const result = diffItems(fromGroups[type] || [], toGroups[type] || []);
+    sections[type] = result;
+
+    summary.added += result.added.length;
+    summary.removed += result.removed.length;
+    summary.changed += result.changed.length;
+    summary.unchanged += result.unchanged;
+  }
+
+  return { summary, sections };
+}
+
+module.exports = {
+  diffSections
+};
@@ -0,0 +1,34 @@
+const sharp = require('sharp');
+const { IMAGE_CAPTION_MAX_DIMENSION } = require('../config/llm');
+
+/**
+ * Downscale an image for a multimodal model and encode it as a data URL.
+ * Screenshots rarely need more than ~1000px for the model to read them, and
+ * smaller images cost fewer tokens.
+ * @param {Buffer} buffer - Original image data
+ * @returns {Promise<string>} JPEG data URL
+ */
+async function toVisionDataUrl(buffer) {
+  try {
+    const resized = await sharp(buffer)
+      .rotate()
+      .resize({
+        width: IMAGE_CAPTION_MAX_DIMENSION,
+        height: IMAGE_CAPTION_MAX_DIMENSION,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+
+    return `data:image/jpeg;base64,${resized.toString('base64')}`;
+  } catch (error) {
+    console.error('Image downscale error:', error);
+    throw new Error(`Failed to prepare image for captioning: ${error.message}`);
+  }
+}
+
+module.exports = {
+  toVisionDataUrl
+};
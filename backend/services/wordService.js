@@ -1,7 +1,15 @@
-const { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, LevelFormat, Hyperlink, Table, TableRow, TableCell, WidthType, BorderStyle, ImageRun, Header } = require('docx');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, LevelFormat, ExternalHyperlink, Table, TableRow, TableCell, WidthType, BorderStyle, ImageRun, Header } = require('docx');
 const fs = require('fs-extra');
 const path = require('path');
 const createHeaderWithLogo = require("./createHeaderWithLogo");
+const { getStorage } = require('./storage');
+const { getLocale, formatDate } = require('./localeService');
+const { getSectionTypes, getHeadingLabel, classifyLine } = require('./sectionTypeRegistry');
+const { splitItems, parseBlocks, parseInline } = require('./markdownBlocks');
+
+// Numbering of ordered Markdown lists; levels nest under the item bullet (720 twips)
+const ORDERED_LIST_REFERENCE = 'ordered-list';
+const ORDERED_LIST_FORMATS = [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN];
 
 /**
  * Generate Word document with fixed template style
@@ -9,11 +17,13 @@ const createHeaderWithLogo = require("./createHeaderWithLogo");
  * @param {string} data.title - The title of the documentation
  * @param {string} data.content - The markdown content
  * @param {Array} data.images - Array of image objects
+ * @param {string} data.language - Language of headings, labels and dates (pt-BR, en-US, es-ES)
  * @returns {Promise<Buffer>} The Word document as buffer
  */
 async function generateWordDocument(data) {
   try {
     const { title, content, images, author, logo } = data;
+    const locale = getLocale(data.language);
 
     // Parse markdown content into structured sections
     const sections = parseMarkdownContent(content);
@@ -93,6 +103,18 @@ async function generateWordDocument(data) {
           }
         ]
       },
+      numbering: {
+        config: [{
+          reference: ORDERED_LIST_REFERENCE,
+          levels: [0, 1, 2, 3, 4, 5].map(level => ({
+            level,
+            format: ORDERED_LIST_FORMATS[level % ORDERED_LIST_FORMATS.length],
+            text: `%${level + 1}.`,
+            alignment: AlignmentType.START,
+            style: { paragraph: { indent: { left: 1080 + level * 360, hanging: 360 } } }
+          }))
+        }]
+      },
       sections: [{
         properties: {
           page: {
@@ -139,7 +161,7 @@ async function generateWordDocument(data) {
                       new Paragraph({
                         children: [
                           new TextRun({
-                            text: "Versão:",
+                            text: locale.labels.version,
                             size: 16,
                             bold: true,
                             color: "0563C1"
@@ -180,7 +202,7 @@ async function generateWordDocument(data) {
                       new Paragraph({
                         children: [
                           new TextRun({
-                            text: "Data de Lançamento:",
+                            text: locale.labels.releaseDate,
                             size: 16,
                             bold: true,
                             color: "0563C1"
@@ -201,7 +223,7 @@ async function generateWordDocument(data) {
                       new Paragraph({
                         children: [
                           new TextRun({
-                            text: new Date().toLocaleDateString('pt-BR'),
+                            text: formatDate(new Date(), locale),
                             size: 16
                           })
                         ]
@@ -221,7 +243,7 @@ async function generateWordDocument(data) {
                       new Paragraph({
                         children: [
                           new TextRun({
-                            text: "Autor:",
+                            text: locale.labels.author,
                             size: 16,
                             bold: true,
                             color: "0563C1"
@@ -271,71 +293,19 @@ async function generateWordDocument(data) {
             }
           }),
 
-          // New Features Section
-          ...(sections.filter(s => s.type === 'feature').length > 0 ? [
-            new Paragraph({
-              text: 'Novas Funcionalidades',
-              style: 'SectionHeading',
-              border: { bottom: { color: '5BC0BE', size: 6, style: BorderStyle.SINGLE } },
-              spacing: { after: 120 }
-            }),
-            ...createStyledContentList(sections.filter(s => s.type === 'feature'))
-          ] : []),
-
-          // Bug Fixes Section
-          ...(sections.filter(s => s.type === 'bugfix').length > 0 ? [
-            new Paragraph({
-              text: 'Correções de Erros',
-              style: 'SectionHeading',
-              border: { bottom: { color: '5BC0BE', size: 6, style: BorderStyle.SINGLE } },
-              spacing: { after: 120 }
-            }),
-            ...createStyledContentList(sections.filter(s => s.type === 'bugfix'))
-          ] : []),
-
-          // Performance Improvements Section
-          ...(sections.filter(s => s.type === 'performance').length > 0 ? [
-            new Paragraph({
-              text: 'Melhorias de Desempenho',
-              style: 'SectionHeading',
-              border: { bottom: { color: '5BC0BE', size: 6, style: BorderStyle.SINGLE } },
-              spacing: { after: 120 }
-            }),
-            ...createStyledContentList(sections.filter(s => s.type === 'performance'))
-          ] : []),
-
-          // General Enhancements Section
-          ...(sections.filter(s => s.type === 'enhancement').length > 0 ? [
-            new Paragraph({
-              text: 'Melhorias Gerais',
-              style: 'SectionHeading',
-              border: { bottom: { color: '5BC0BE', size: 6, style: BorderStyle.SINGLE } },
-              spacing: { after: 120 }
-            }),
-            ...createStyledContentList(sections.filter(s => s.type === 'enhancement'))
-          ] : []),
-
-          // Security Updates Section
-          ...(sections.filter(s => s.type === 'security').length > 0 ? [
-            new Paragraph({
-              text: 'Atualizações de Segurança',
-              style: 'SectionHeading',
-              border: { bottom: { color: '5BC0BE', size: 6, style: BorderStyle.SINGLE } },
-              spacing: { after: 120 }
-            }),
-            ...createStyledContentList(sections.filter(s => s.type === 'security'))
-          ] : []),
-
-          // Additional Resources Section
-          ...(sections.filter(s => s.type === 'resource').length > 0 ? [
-            new Paragraph({
-              text: 'Recursos Adicionais',
-              style: 'SectionHeading',
-              border: { bottom: { color: '5BC0BE', size: 6, style: BorderStyle.SINGLE } },
-              spacing: { after: 120 }
-            }),
-            ...createStyledContentList(sections.filter(s => s.type === 'resource'))
-          ] : [])
+          // One section per registry type with items, in registry order (config/sectionTypes)
+          ...getSectionTypes().flatMap(type => {
+            const items = sections.filter(s => s.type === type.id);
+            return items.length > 0 ? [
+              new Paragraph({
+                text: getHeadingLabel(type, locale.language),
+                style: 'SectionHeading',
+                border: { bottom: { color: type.style.headingColor || '5BC0BE', size: 6, style: BorderStyle.SINGLE } },
+                spacing: { after: 120 }
+              }),
+              ...createStyledContentList(items, type.style)
+            ] : [];
+          })
         ]
       }]
     });
@@ -424,9 +394,12 @@ function createSectionHeader(title, description) {
 /**
  * Create styled content list for a section
  * @param {Array} items - Content items
- * @returns {Array} Paragraph elements
+ * @param {Object} style - Optional item styling
+ * @param {Object} style.run - Text run options (color, italics...)
+ * @param {Object} style.shading - Paragraph shading ({ fill })
+ * @returns {Array} Paragraph and Table elements
  */
-function createStyledContentList(items) {
+function createStyledContentList(items, style = {}) {
   if (!Array.isArray(items) || items.length === 0) {
     return [
       new Paragraph({
@@ -444,7 +417,7 @@ function createStyledContentList(items) {
     ];
   }
 
-  return items.map(item => {
+  return items.flatMap(item => {
     // Validate item
     if (!item || !item.content || typeof item.content !== 'string') {
       console.warn('Invalid item in content list:', item);
@@ -462,17 +435,124 @@ function createStyledContentList(items) {
       });
     }
 
-    // Preserve content with Portuguese characters and common punctuation
-    const sanitizedContent = item.content
-      .replace(/[^\w\s\-\.áàâãéèêíìîóòôõúùûçÁÀÂÃÉÈÊÍÌÎÓÒÔÕÚÙÛÇ,;:!?()%]/g, '')
-      .trim();
-    
-    return new Paragraph({
-      text: sanitizedContent,
-      bullet: { level: 0 },
-      spacing: { before: 40, after: 40 },
-      indentation: { left: 720, hanging: 360 }
-    });
+    return [
+      new Paragraph({
+        children: createInlineRuns(item.content, style.run),
+        bullet: { level: 0 },
+        spacing: { before: 40, after: 40 },
+        indentation: { left: 720, hanging: 360 },
+        ...(style.shading ? { shading: style.shading } : {})
+      }),
+      // Steps, code and tables of the item, under its bullet
+      ...(item.body ? createMarkdownBlocks(parseBlocks(item.body), style) : [])
+    ];
+  });
+}
+
+/**
+ * Remove the characters Word documents cannot hold (control characters other
+ * than tab and line breaks); everything else, URLs and symbols included, is kept
+ * @param {string} text - Text
+ * @returns {string} Sanitized text
+ */
+function sanitizeContent(text) {
+  return text.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\uFFFE\uFFFF]/g, '');
+}
+
+/**
+ * Create the runs of a text with inline Markdown: bold, italic, code spans
+ * (monospace) and links (clickable hyperlinks)
+ * @param {string} text - Text
+ * @param {Object} run - Text run options applied to every run (color, italics...)
+ * @returns {Array} TextRun and ExternalHyperlink elements
+ */
+function createInlineRuns(text, run = {}) {
+  return parseInline(sanitizeContent(text).trim()).map(span => {
+    const options = {
+      text: span.text,
+      ...run,
+      ...(span.bold ? { bold: true } : {}),
+      ...(span.italics ? { italics: true } : {}),
+      ...(span.code ? { font: 'Consolas', shading: { fill: 'F2F2F2' } } : {})
+    };
+
+    return span.link
+      ? new ExternalHyperlink({ link: span.link, children: [new TextRun({ ...options, style: 'Hyperlink' })] })
+      : new TextRun(options);
+  });
+}
+
+// Ordered lists restart their numbering at each list (one numbering instance per list)
+let orderedListInstance = 0;
+
+/**
+ * Create the Word elements of Markdown blocks nested under an item
+ * @param {Array<Object>} blocks - Blocks from parseBlocks
+ * @param {Object} style - Item styling (run options apply to text blocks)
+ * @returns {Array} Paragraph and Table elements
+ */
+function createMarkdownBlocks(blocks, style = {}) {
+  return blocks.flatMap(block => {
+    switch (block.type) {
+      case 'heading':
+        // Markdown headings sit below the section heading: # is Heading 3
+        return new Paragraph({
+          children: createInlineRuns(block.text),
+          heading: HeadingLevel[`HEADING_${Math.min(block.level + 2, 6)}`],
+          indentation: { left: 720 }
+        });
+
+      case 'list': {
+        const instance = ++orderedListInstance;
+        return block.items.map(listItem => new Paragraph({
+          children: createInlineRuns(listItem.text, style.run),
+          ...(listItem.ordered
+            ? { numbering: { reference: ORDERED_LIST_REFERENCE, level: listItem.level, instance } }
+            : { bullet: { level: listItem.level + 1 }, indentation: { left: 1080 + listItem.level * 360, hanging: 360 } }),
+          spacing: { before: 20, after: 20 }
+        }));
+      }
+
+      case 'code':
+        // One paragraph per line keeps indentation; the shading joins them into one box
+        return (block.lines.length > 0 ? block.lines : ['']).map((line, index, lines) => new Paragraph({
+          children: [new TextRun({ text: sanitizeContent(line.replace(/\t/g, '    ')), font: 'Consolas', size: 18 })],
+          shading: { fill: 'F2F2F2' },
+          indentation: { left: 1080 },
+          spacing: { before: index === 0 ? 80 : 0, after: index === lines.length - 1 ? 80 : 0, line: 260 }
+        }));
+
+      case 'table':
+        return [
+          new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            indent: { size: 1080, type: WidthType.DXA },
+            rows: [block.header, ...block.rows].map((cells, rowIndex) => new TableRow({
+              tableHeader: rowIndex === 0,
+              children: cells.map(cell => new TableCell({
+                children: [
+                  new Paragraph({
+                    children: createInlineRuns(cell, {
+                      size: 18,
+                      ...(rowIndex === 0 ? { bold: true, color: "0563C1" } : {})
+                    })
+                  })
+                ],
+                ...(rowIndex === 0 ? { shading: { fill: "E6F3FF" } } : {})
+              }))
+            }))
+          }),
+          // Word merges consecutive tables; an empty paragraph keeps them apart
+          new Paragraph({ children: [], spacing: { after: 80 } })
+        ];
+
+      default:
+        return new Paragraph({
+          children: createInlineRuns(block.text, style.run),
+          indentation: { left: 1080 },
+          spacing: { before: 40, after: 40 }
+        });
+    }
   });
 }
 
@@ -494,7 +574,7 @@ function normalizeText(text) {
 /**
  * Parse markdown content into structured sections for template
  * @param {string} content - Markdown content
- * @returns {Array} Parsed sections with template categories
+ * @returns {Array} Parsed sections with template categories ({ type, content, body })
  */
 function parseMarkdownContent(content) {
   // Validate input
@@ -505,94 +585,16 @@ function parseMarkdownContent(content) {
 
   console.log('🔍 Parsing markdown content:', content.substring(0, 200) + '...');
   
-  const sections = [];
-  const lines = content.split('\n');
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    if (!line) continue;
-
-    // Categorize content based on keywords and structure
-    const lowerLine = line.toLowerCase();
-    
-    // Check for structured markers first - more robust matching
-    const trimmedLine = line.trim();
-    const lowerTrimmedLine = trimmedLine.toLowerCase();
-    
-    if (lowerTrimmedLine.startsWith('[nova]') || lowerTrimmedLine.startsWith('[new]') || lowerTrimmedLine.startsWith('[funcionalidade]')) {
-      sections.push({
-        type: 'feature',
-        content: trimmedLine.replace(/^\[(nova|new|funcionalidade)\]\s*/i, '').trim()
-      });
-    } else if (lowerTrimmedLine.startsWith('[correção]') || lowerTrimmedLine.startsWith('[bug]') || lowerTrimmedLine.startsWith('[fixed]')) {
-      sections.push({
-        type: 'bugfix',
-        content: trimmedLine.replace(/^\[(correção|bug|fixed)\]\s*/i, '').trim()
-      });
-    } else if (lowerTrimmedLine.startsWith('[performance]') || lowerTrimmedLine.startsWith('[melhoria]') || lowerTrimmedLine.startsWith('[speed]')) {
-      sections.push({
-        type: 'performance',
-        content: trimmedLine.replace(/^\[(performance|melhoria|speed)\]\s*/i, '').trim()
-      });
-    } else if (lowerTrimmedLine.startsWith('[segurança]') || lowerTrimmedLine.startsWith('[security]')) {
-      sections.push({
-        type: 'security',
-        content: trimmedLine.replace(/^\[(segurança|security)\]\s*/i, '').trim()
-      });
-    } else if (lowerTrimmedLine.startsWith('[recurso]') || lowerTrimmedLine.startsWith('[resource]') || lowerTrimmedLine.startsWith('[manual]')) {
-      sections.push({
-        type: 'resource',
-        content: trimmedLine.replace(/^\[(recurso|resource|manual)\]\s*/i, '').trim()
-      });
-    } else if (lowerLine.includes('nova') || lowerLine.includes('new') || lowerLine.includes('adicionado') || lowerLine.includes('implementado')) {
-      sections.push({
-        type: 'feature',
-        content: line
-      });
-    } else if (lowerLine.includes('melhorado') || lowerLine.includes('enhanced') || lowerLine.includes('otimizado') || lowerLine.includes('upgraded') || lowerLine.includes('melhoria') || lowerLine.includes('improvement') || lowerLine.includes('redução') || lowerLine.includes('reduction')) {
-      sections.push({
-        type: 'enhancement',
-        content: line
-      });
-    } else if (lowerLine.includes('corrigido') || lowerLine.includes('fixed') || lowerLine.includes('bug') || lowerLine.includes('erro')) {
-      sections.push({
-        type: 'bugfix',
-        content: line
-      });
-    } else if (lowerLine.includes('performance') || lowerLine.includes('velocidade') || lowerLine.includes('speed') || lowerLine.includes('tempo') || lowerLine.includes('redução') || lowerLine.includes('reduction') || lowerLine.includes('carregamento') || lowerLine.includes('loading') || lowerLine.includes('otimização') || lowerLine.includes('optimization')) {
-      sections.push({
-        type: 'performance',
-        content: line
-      });
-    } else if (lowerLine.includes('segurança') || lowerLine.includes('security') || lowerLine.includes('vulnerabilidade')) {
-      sections.push({
-        type: 'security',
-        content: line
-      });
-    } else if (lowerLine.includes('problema') || lowerLine.includes('issue') || lowerLine.includes('conhecido')) {
-      sections.push({
-        type: 'known_issue',
-        content: line
-      });
-    } else if (lowerLine.includes('deprecated') || lowerLine.includes('obsoleto') || lowerLine.includes('removido')) {
-      sections.push({
-        type: 'deprecated',
-        content: line
-      });
-    } else if (lowerLine.includes('recurso') || lowerLine.includes('resource') || lowerLine.includes('manual') || lowerLine.includes('documentação')) {
-      sections.push({
-        type: 'resource',
-        content: line
-      });
-    } else {
-      // Default to feature if no specific category
-      sections.push({
-        type: 'feature',
-        content: line
-      });
-    }
-  }
+  // One item per line; Markdown blocks after a line (steps, code, tables) become its body
+  const sections = splitItems(content).map(({ head, body }) => {
+    // Tag of a registry type first, then its keywords, then the default type
+    const { type, content: itemContent } = classifyLine(head);
+    return {
+      type: type.id,
+      content: itemContent,
+      ...(body ? { body } : {})
+    };
+  });
 
   console.log('📋 Parsed sections:', sections.map(s => ({ type: s.type, content: s.content.substring(0, 50) + '...' })));
   
@@ -600,31 +602,26 @@ function parseMarkdownContent(content) {
 }
 
 /**
- * Save Word document to file system
+ * Save Word document through the storage provider
  * @param {Buffer} buffer - Document buffer
  * @param {string} filename - Filename to save
- * @returns {Promise<string>} File path
+ * @returns {Promise<string>} URL of the stored document
  */
 async function saveWordDocument(buffer, filename) {
   try {
-    const uploadsDir = path.join(__dirname, '../uploads');
-    await fs.ensureDir(uploadsDir);
-    
-    const filePath = path.join(uploadsDir, filename);
-    
-    // Usar writeFileSync para garantir que o arquivo seja escrito completamente
-    // antes de retornar o caminho
-    fs.writeFileSync(filePath, buffer, { encoding: null });
+    const storage = getStorage();
+    const stored = await storage.put(filename, buffer, {
+      contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    });
     
     // Verificar se o arquivo foi criado corretamente
-    if (!fs.existsSync(filePath)) {
+    if (!await storage.exists(filename)) {
       throw new Error('File was not created properly');
     }
     
-    const stats = fs.statSync(filePath);
-    console.log(`File saved successfully. Size on disk: ${stats.size} bytes`);
+    console.log(`File saved successfully to ${storage.name} storage. Size: ${buffer.length} bytes`);
     
-    return filePath;
+    return stored.url;
   } catch (error) {
     console.error('Error saving Word document:', error);
     throw new Error(`Failed to save Word document: ${error.message}`);
@@ -633,5 +630,6 @@ async function saveWordDocument(buffer, filename) {
 
 module.exports = {
   generateWordDocument,
-  saveWordDocument
+  saveWordDocument,
+  parseMarkdownContent
 };
\ No newline at end of file
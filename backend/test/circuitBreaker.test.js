@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LLM_PROVIDER = 'fake';
+process.env.LLM_CIRCUIT_FAILURE_THRESHOLD = '2';
+process.env.LLM_CIRCUIT_COOLDOWN_MS = '200';
+process.env.TEST_ROUTE_FALLBACKS = 'fake:backup-model';
+
+const { getProvider, completeWithFallback } = require('../services/llm');
+const { getCircuitStates } = require('../services/llm/circuitBreaker');
+
+const OPTIONS = {
+  messages: [{ role: 'user', content: 'Olá' }],
+  timeout: 1000,
+  attempts: 3,
+  retryDelay: 1,
+  label: 'test'
+};
+
+// Calls by model; the primary model fails while `primaryDown` is set
+const calls = { 'fake-model': 0, 'backup-model': 0 };
+let primaryDown = true;
+
+test.before(() => {
+  const provider = getProvider('fake');
+  provider.complete = async ({ model, signal }) => {
+    calls[model]++;
+    signal?.throwIfAborted();
+    if (model === 'fake-model' && primaryDown) {
+      throw new Error('Service unavailable');
+    }
+    return { content: `resposta de ${model}`, model, usage: null };
+  };
+});
+
+test('repeated failures open the circuit and the call moves to the fallback', async () => {
+  const { result, model } = await completeWithFallback('TEST_ROUTE', OPTIONS);
+
+  assert.strictEqual(model, 'backup-model');
+  assert.strictEqual(result, 'resposta de backup-model');
+  // The third attempt is skipped once the circuit opens
+  assert.strictEqual(calls['fake-model'], 2);
+  assert.strictEqual(getCircuitStates()['fake/fake-model'].open, true);
+});
+
+test('an open circuit skips the route without calling it', async () => {
+  const { model } = await completeWithFallback('TEST_ROUTE', OPTIONS);
+
+  assert.strictEqual(model, 'backup-model');
+  assert.strictEqual(calls['fake-model'], 2);
+});
+
+test('after the cool-down a successful trial call closes the circuit', async () => {
+  await new Promise(resolve => setTimeout(resolve, 250));
+  primaryDown = false;
+
+  const { model } = await completeWithFallback('TEST_ROUTE', OPTIONS);
+
+  assert.strictEqual(model, 'fake-model');
+  assert.strictEqual(calls['fake-model'], 3);
+  assert.strictEqual(getCircuitStates()['fake/fake-model'], undefined);
+});
+
+test('aborted calls do not count as failures', async () => {
+  const controller = new AbortController();
+  controller.abort(new Error('Client disconnected'));
+
+  await assert.rejects(completeWithFallback('TEST_ROUTE', { ...OPTIONS, signal: controller.signal }), /Client disconnected/);
+  assert.deepStrictEqual(getCircuitStates(), {});
+});
+
+test('with every circuit open the call fails without reaching any route', async () => {
+  primaryDown = true;
+  const backup = getProvider('fake');
+  const complete = backup.complete;
+  backup.complete = async () => { throw new Error('Service unavailable'); };
+
+  await assert.rejects(completeWithFallback('TEST_ROUTE', OPTIONS), /Service unavailable/);
+  await assert.rejects(completeWithFallback('TEST_ROUTE', OPTIONS), /every route circuit is open/);
+
+  backup.complete = complete;
+});
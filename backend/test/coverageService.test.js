@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCoverageReport } = require('../services/coverageService');
+
+const provenance = [
+  {
+    input: { type: 'bug', content: 'Corrigido erro ao salvar relatório de vendas' },
+    items: [{ text: 'Corrigido o erro ao salvar o relatório de vendas', type: 'bug' }],
+    producedBy: { source: 'model' }
+  },
+  {
+    input: { type: 'bug', content: 'Corrigida exportação de planilhas grandes' },
+    items: [],
+    producedBy: { source: 'model' }
+  },
+  {
+    input: { type: 'funcionalidade', content: 'Filtro por cliente na listagem' },
+    items: [{ text: 'Integração com calendário externo', type: 'funcionalidade' }],
+    producedBy: { source: 'model' }
+  },
+  {
+    input: { type: 'performance', content: 'Cache de consultas' },
+    items: [{ text: 'Cache de consultas', type: 'performance' }],
+    producedBy: { source: 'fallback' }
+  }
+];
+
+test('items are matched by shared words', () => {
+  const { summary, inputs, generated } = buildCoverageReport(provenance, { threshold: 0.3 });
+
+  assert.deepStrictEqual(inputs.map(input => input.status), ['covered', 'dropped', 'dropped', 'fallback']);
+  assert.deepStrictEqual(generated.map(item => item.status), ['matched', 'unmatched', 'fallback']);
+  assert.deepStrictEqual(summary, {
+    inputItems: 4,
+    generatedItems: 3,
+    covered: 1,
+    dropped: 2,
+    fallback: 1,
+    unmatched: 1,
+    threshold: 0.3,
+    matchBy: 'text'
+  });
+});
+
+test('an item repeating another input item is credited to that item', () => {
+  const { inputs, generated } = buildCoverageReport([
+    { input: { type: 'bug', content: 'Corrigido login com SSO' }, items: [], producedBy: { source: 'model' } },
+    {
+      input: { type: 'bug', content: 'Mensagem do logout' },
+      items: [{ text: 'Corrigido login com SSO', type: 'bug' }],
+      producedBy: { source: 'model' }
+    }
+  ]);
+
+  assert.strictEqual(generated[0].source, 0);
+  assert.deepStrictEqual(inputs.map(input => input.status), ['covered', 'dropped']);
+});
+
+test('translated output is matched by provenance', () => {
+  const translated = provenance.map(entry => ({
+    ...entry,
+    items: entry.items.map(item => ({ ...item, text: `Translated: ${entry.input.type}` }))
+  }));
+
+  const { summary, inputs, generated } = buildCoverageReport(translated, { matchBy: 'provenance' });
+
+  assert.deepStrictEqual(inputs.map(input => input.status), ['covered', 'dropped', 'covered', 'fallback']);
+  assert.deepStrictEqual(generated.map(item => [item.source, item.score]), [[0, null], [2, null], [3, null]]);
+  assert.strictEqual(summary.unmatched, 0);
+  assert.strictEqual(summary.matchBy, 'provenance');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phosdocs-documents-'));
+const storePath = path.join(storeDir, 'documents.json');
+process.env.DOCUMENT_STORE_PATH = storePath;
+
+const { saveDocument, getDocument, listVersions } = require('../services/documentStore');
+
+/**
+ * Build document data for a title
+ * @param {string} title - Document title
+ * @returns {Object} Document data
+ */
+function documentData(title) {
+  return {
+    title,
+    author: 'Ana',
+    content: `[bug] ${title}`,
+    sections: [{ type: 'bugfix', content: title }],
+    filename: `${title}.docx`,
+    images: [],
+    source: 'test'
+  };
+}
+
+test.after(() => fs.remove(storeDir));
+
+test('concurrent first saves share one in-memory store', async () => {
+  // An existing file makes every first request read it before saving
+  await fs.writeJson(storePath, { documents: [] });
+
+  const saved = await Promise.all(['A', 'B', 'C', 'D'].map(title => saveDocument(documentData(title))));
+
+  const { documents } = await fs.readJson(storePath);
+  assert.deepStrictEqual(documents.map(document => document.title).sort(), ['A', 'B', 'C', 'D']);
+  for (const document of saved) {
+    assert.ok(await getDocument(document.id));
+  }
+});
+
+test('saving with documentId adds a version', async () => {
+  const first = await saveDocument(documentData('Release'));
+  const second = await saveDocument({ ...documentData('Release'), documentId: first.id, content: '[bug] Release 2' });
+
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual(second.version, 2);
+  assert.deepStrictEqual((await listVersions(first.id)).map(version => version.version), [1, 2]);
+});
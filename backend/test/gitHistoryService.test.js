@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { execFileSync } = require('child_process');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phosdocs-git-'));
+const reposRoot = path.join(tempDir, 'repos');
+const outsideRepo = path.join(tempDir, 'outside');
+process.env.GIT_REPOS_ROOT = reposRoot;
+process.env.LOCAL_STORAGE_DIR = path.join(tempDir, 'uploads');
+process.env.DOCUMENT_STORE_PATH = path.join(tempDir, 'data', 'documents.json');
+
+const express = require('express');
+const request = require('supertest');
+const { readGitLog } = require('../services/gitHistoryService');
+const { MAX_DESCRIPTION_LENGTH } = require('../config/timeouts');
+const documentationRoutes = require('../routes/documentation');
+
+const app = express();
+app.use(express.json());
+app.use('/api/documentation', documentationRoutes);
+
+/**
+ * Create a repository with one commit
+ * @param {string} dir - Repository directory
+ * @param {string} subject - Commit subject
+ */
+function createRepo(dir, subject) {
+  fs.ensureDirSync(dir);
+  const git = (...args) => execFileSync('git', ['-C', dir, ...args], { stdio: 'pipe' });
+  git('init', '-q');
+  git('-c', 'user.name=Ana', '-c', 'user.email=ana@example.com', 'commit', '-q', '--allow-empty', '-m', subject);
+}
+
+test.before(() => {
+  createRepo(path.join(reposRoot, 'app'), 'feat: app');
+  createRepo(path.join(reposRoot, '..dots'), 'fix: dots');
+  createRepo(outsideRepo, 'feat: outside');
+  fs.symlinkSync(outsideRepo, path.join(reposRoot, 'link'));
+});
+
+test.after(() => fs.remove(tempDir));
+
+test('repositories inside GIT_REPOS_ROOT are read', async () => {
+  const [commit] = await readGitLog('app', 'HEAD');
+  assert.strictEqual(commit.subject, 'feat: app');
+});
+
+test('directory names starting with ".." are inside the root', async () => {
+  const [commit] = await readGitLog('..dots', 'HEAD');
+  assert.strictEqual(commit.subject, 'fix: dots');
+});
+
+test('paths outside GIT_REPOS_ROOT are rejected', async () => {
+  for (const repoPath of ['..', '../outside', outsideRepo, 'app/../../outside']) {
+    await assert.rejects(readGitLog(repoPath, 'HEAD'), /must be inside/, repoPath);
+  }
+});
+
+test('symlinks pointing outside GIT_REPOS_ROOT are rejected', async () => {
+  await assert.rejects(readGitLog('link', 'HEAD'), /must be inside/);
+});
+
+test('a git history longer than the description limit answers 400', async () => {
+  const log = Array.from({ length: 400 }, (_, index) =>
+    `${index.toString(16).padStart(7, '0')} feat: item ${index} of a long history`).join('\n');
+  assert.ok(log.length > MAX_DESCRIPTION_LENGTH);
+
+  const response = await request(app)
+    .post('/api/documentation/generate')
+    .send({ title: 'Release', git: { log } });
+
+  assert.strictEqual(response.status, 400);
+  assert.match(response.body.details, /maximum/);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.JIRA_BASE_URL = 'https://example.atlassian.net/';
+delete process.env.IMPORT_MAPPING_FILE;
+
+const express = require('express');
+const request = require('supertest');
+const { importIssues } = require('../services/issueImportService');
+const importRoutes = require('../routes/imports');
+
+const app = express();
+app.use(express.json());
+app.use('/api/import', importRoutes);
+
+// BOM, CRLF line ends, quoted commas and quotes, a newline inside a summary and repeated Labels columns
+const JIRA_CSV = '\uFEFFSummary,Issue key,Issue Type,Labels,Labels\r\n' +
+  '"Erro ao salvar, relatório",APP-1,Bug,,\r\n' +
+  '"Filtro ""cliente""\nna listagem",APP-2,Story,ui,\r\n' +
+  'Token exposto no log,APP-3,Bug,backend,security\r\n' +
+  'Remover flag antiga,APP-4,Task,chore,\r\n' +
+  'Investigar lentidão,APP-5,Spike,,\r\n';
+
+test('Jira CSV rows become tagged items linked to the issue', () => {
+  const { format, description, skipped } = importIssues(JIRA_CSV);
+
+  assert.strictEqual(format, 'jira-csv');
+  assert.strictEqual(description, [
+    '[bug] Erro ao salvar, relatório [APP-1](https://example.atlassian.net/browse/APP-1)',
+    '[funcionalidade] Filtro "cliente" na listagem [APP-2](https://example.atlassian.net/browse/APP-2)',
+    '[segurança] Token exposto no log [APP-3](https://example.atlassian.net/browse/APP-3)'
+  ].join('\n'));
+  assert.deepStrictEqual(skipped.map(issue => [issue.key, issue.reason]), [
+    ['APP-4', 'label: chore'],
+    ['APP-5', 'no mapping for type "Spike" or labels []']
+  ]);
+});
+
+test('a Jira CSV without Summary and Issue key columns is rejected', () => {
+  assert.throws(() => importIssues('Title,Key\nErro,APP-1\n', { format: 'jira-csv' }), /"Summary" and "Issue key"/);
+});
+
+test('the preview route accepts the export as a file upload', async () => {
+  const response = await request(app)
+    .post('/api/import/preview')
+    .attach('file', Buffer.from(JIRA_CSV), 'export.csv');
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.items.length, 3);
+  assert.strictEqual(response.body.items[2].section, 'segurança');
+});
+
+test('the preview route answers 400 for an invalid export or format', async () => {
+  const invalid = await request(app).post('/api/import/preview').send({ content: 'Title\nErro\n' });
+  const format = await request(app).post('/api/import/preview').send({ content: JIRA_CSV, format: 'xlsx' });
+
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.error, 'Invalid export');
+  assert.strictEqual(format.status, 400);
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phosdocs-jobs-'));
+const jobStorePath = path.join(dataDir, 'jobs.json');
+process.env.LLM_MODE = 'live';
+process.env.LLM_PROVIDER = 'local';
+process.env.JOB_CONCURRENCY = '1';
+process.env.JOB_STORE_PATH = jobStorePath;
+process.env.LOCAL_STORAGE_DIR = path.join(dataDir, 'uploads');
+process.env.DOCUMENT_STORE_PATH = path.join(dataDir, 'documents.json');
+process.env.USAGE_STORE_PATH = path.join(dataDir, 'usage.json');
+process.env.PROMPTS_DIR = path.join(dataDir, 'prompts');
+process.env.PROMPT_CACHE_DIR = path.join(dataDir, 'prompt-cache');
+
+// Local model server. While holding, requests get no answer until the client aborts them
+const llm = { holding: false, received: 0 };
+const llmServer = http.createServer((req, res) => {
+  llm.received++;
+  if (llm.holding) return;
+
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({
+    id: 'chatcmpl-test',
+    object: 'chat.completion',
+    created: 0,
+    model: 'llama3',
+    choices: [{ index: 0, message: { role: 'assistant', content: '{"items":[{"text":"Item revisado"}]}' }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+  }));
+});
+
+// Required once the server port is known
+let jobQueue;
+let storage;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {string} description - What is awaited (for the error)
+ */
+async function waitFor(condition, description) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (await condition()) return;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Timed out waiting for ${description}`);
+}
+
+/**
+ * Wait until a job finishes
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} Job status
+ */
+async function waitForJob(id) {
+  await waitFor(async () => FINISHED_STATUSES.includes((await jobQueue.getJob(id)).status), `job ${id}`);
+  return jobQueue.getJob(id);
+}
+
+/**
+ * Build generation input
+ * @param {string} title - Document title
+ * @returns {Object} Generation input
+ */
+function jobInput(title) {
+  return { title, description: '[bug] Corrigido erro ao salvar\n[funcionalidade] Filtro por cliente' };
+}
+
+test.before(async () => {
+  await new Promise(resolve => llmServer.listen(0, '127.0.0.1', resolve));
+  process.env.LOCAL_LLM_BASE_URL = `http://127.0.0.1:${llmServer.address().port}/v1`;
+
+  jobQueue = require('../services/jobQueue');
+  storage = require('../services/storage').getStorage();
+  await jobQueue.startJobQueue();
+});
+
+test.after(async () => {
+  llmServer.closeAllConnections();
+  await new Promise(resolve => llmServer.close(resolve));
+  await fs.remove(dataDir);
+});
+
+test('a running job is aborted and a queued one never starts when cancelled', async (t) => {
+  const { createJob, cancelJob, getJob } = jobQueue;
+  llm.holding = true;
+  t.after(() => { llm.holding = false; });
+
+  const first = await createJob(jobInput('Primeiro'));
+  await waitFor(() => llm.received > 0, 'the model call of the first job');
+  const second = await createJob(jobInput('Segundo'));
+  assert.strictEqual(second.status, 'queued');
+
+  const queued = await cancelJob(second.id);
+  assert.strictEqual(queued.status, 'cancelled');
+
+  // The abort can settle before the status is returned
+  const running = await cancelJob(first.id);
+  assert.ok(['cancelling', 'cancelled'].includes(running.status), running.status);
+
+  const cancelled = await waitForJob(first.id);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.strictEqual(cancelled.result, null);
+  assert.strictEqual((await getJob(second.id)).attempts, 0);
+});
+
+test('cancelling a finished job leaves it as it is', async () => {
+  const { createJob, cancelJob } = jobQueue;
+  const job = await createJob(jobInput('Concluído'));
+  const completed = await waitForJob(job.id);
+  assert.strictEqual(completed.status, 'completed');
+
+  assert.strictEqual((await cancelJob(job.id)).status, 'completed');
+  assert.strictEqual(await cancelJob('missing'), null);
+});
+
+test('the base64 logo is kept in storage, not in the job store', async () => {
+  const png = await sharp({ create: { width: 120, height: 40, channels: 3, background: '#336699' } }).png().toBuffer();
+  const logo = `data:image/png;base64,${png.toString('base64')}`;
+
+  const job = await jobQueue.createJob({
+    ...jobInput('Com logo'),
+    logo: { filename: 'logo.png', base64: logo },
+    images: []
+  });
+
+  const stored = (await fs.readJson(jobStorePath)).jobs.find(candidate => candidate.id === job.id);
+  assert.doesNotMatch(JSON.stringify(stored), /base64/);
+  assert.ok(await storage.exists(stored.input.logo.key));
+
+  const completed = await waitForJob(job.id);
+  assert.strictEqual(completed.status, 'completed');
+  assert.strictEqual(await storage.exists(stored.input.logo.key), false);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phosdocs-fixtures-'));
+process.env.LLM_MODE = 'replay';
+process.env.LLM_FIXTURES_DIR = fixturesDir;
+
+const { processSection } = require('../services/sectionProcessor');
+const { generateImageCaption } = require('../services/openaiService');
+
+test.after(() => fs.remove(fixturesDir));
+
+test('replay answers a section never recorded with the mock output', async () => {
+  const result = await processSection('bug', 'Corrigido erro ao salvar\nCorrigida exportação', 'Release 1.0');
+
+  assert.strictEqual(result.source, 'mock');
+  assert.deepStrictEqual(result.items.map(item => item.text), ['Corrigido erro ao salvar', 'Corrigida exportação']);
+});
+
+test('replay answers a caption never recorded with the mock caption', async () => {
+  const caption = await generateImageCaption('tela.png', { image: Buffer.from('png'), context: { title: 'Release 1.0' } });
+
+  assert.strictEqual(caption, 'Technical image - tela.png');
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { splitItems, parseBlocks, parseInline } = require('../services/markdownBlocks');
+const { parseMarkdownContent } = require('../services/wordService');
+
+test('splitItems keeps unindented list items as items of their own', () => {
+  const items = splitItems('Nova tela de login\n1. Corrigido erro X\n2. Corrigido erro Y');
+
+  assert.deepStrictEqual(items, [
+    { head: 'Nova tela de login', body: null },
+    { head: 'Corrigido erro X', body: null },
+    { head: 'Corrigido erro Y', body: null }
+  ]);
+});
+
+test('splitItems sees tags after a list marker', () => {
+  const items = splitItems('- [funcionalidade] A\n- [bug] B\n* [bug] C');
+
+  assert.deepStrictEqual(items.map(item => item.head), ['[funcionalidade] A', '[bug] B', '[bug] C']);
+});
+
+test('splitItems attaches indented blocks and code fences to the previous item', () => {
+  const items = splitItems([
+    '[funcionalidade] Exportação em lote',
+    '  1. Abra a lista',
+    '  2. Clique em Exportar',
+    '[bug] Erro ao salvar',
+    '```js',
+    'save();',
+    '',
+    'retry();',
+    '```'
+  ].join('\n'));
+
+  assert.deepStrictEqual(items, [
+    { head: '[funcionalidade] Exportação em lote', body: '1. Abra a lista\n2. Clique em Exportar' },
+    { head: '[bug] Erro ao salvar', body: '```js\nsave();\n\nretry();\n```' }
+  ]);
+});
+
+test('splitItems starts a new item for an indented tagged line', () => {
+  const items = splitItems('[bug] A\n  [bug] B');
+
+  assert.deepStrictEqual(items.map(item => item.head), ['[bug] A', '[bug] B']);
+});
+
+test('parseMarkdownContent classifies one item per line', () => {
+  assert.deepStrictEqual(
+    parseMarkdownContent('Nova tela de login\n1. Corrigido erro X\n2. Corrigido erro Y').map(section => section.type),
+    ['feature', 'bugfix', 'bugfix']
+  );
+  assert.deepStrictEqual(
+    parseMarkdownContent('- [funcionalidade] A\n- [bug] B\n- [bug] C').map(section => [section.type, section.content]),
+    [['feature', 'A'], ['bugfix', 'B'], ['bugfix', 'C']]
+  );
+});
+
+test('parseBlocks reads headings, nested lists, code and tables', () => {
+  const blocks = parseBlocks([
+    '## Passos',
+    '- um',
+    '  - um.a',
+    '1. dois',
+    '',
+    '```sh',
+    'npm start',
+    '```',
+    '| Campo | Tipo |',
+    '| --- | --- |',
+    '| id | número |',
+    '| nome |'
+  ].join('\n'));
+
+  assert.deepStrictEqual(blocks, [
+    { type: 'heading', level: 2, text: 'Passos' },
+    {
+      type: 'list',
+      items: [
+        { text: 'um', level: 0, ordered: false },
+        { text: 'um.a', level: 1, ordered: false },
+        { text: 'dois', level: 0, ordered: true }
+      ]
+    },
+    { type: 'code', language: 'sh', lines: ['npm start'] },
+    { type: 'table', header: ['Campo', 'Tipo'], rows: [['id', 'número'], ['nome', '']] }
+  ]);
+});
+
+test('parseInline keeps safe links and turns other targets into text', () => {
+  assert.deepStrictEqual(parseInline('Veja [docs](https://x.com) e [api](/api/v1) **agora**'), [
+    { text: 'Veja ' },
+    { text: 'docs', link: 'https://x.com' },
+    { text: ' e ' },
+    { text: 'api' },
+    { text: ' (/api/v1)' },
+    { text: ' ' },
+    { text: 'agora', bold: true }
+  ]);
+});
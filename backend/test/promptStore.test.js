@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phosdocs-prompts-'));
+process.env.PROMPTS_DIR = promptsDir;
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const express = require('express');
+const request = require('supertest');
+const { BUNDLED_PROMPTS_DIR } = require('../config/prompts');
+const { listTemplates, getTemplate } = require('../services/promptStore');
+const requireAdminToken = require('../middleware/requireAdminToken');
+const promptRoutes = require('../routes/prompts');
+
+// Mounted as server.js does
+const app = express();
+app.use(express.json());
+app.use('/api/prompts', requireAdminToken, promptRoutes);
+
+const AUTHORIZATION = 'Bearer test-admin-token';
+
+/**
+ * Install a bundled template as an install seeded before its v2 existed
+ * @param {string} name - Template name
+ * @param {Object} editedVersion - Messages of a version edited through the API (optional)
+ */
+async function installSeededBeforeV2(name, editedVersion) {
+  const dir = path.join(promptsDir, name);
+  await fs.copy(path.join(BUNDLED_PROMPTS_DIR, name), dir);
+  await fs.remove(path.join(dir, 'v2.system.txt'));
+  await fs.remove(path.join(dir, 'v2.user.txt'));
+
+  const meta = await fs.readJson(path.join(dir, 'template.json'));
+  meta.versions = meta.versions.filter(entry => entry.version === 1);
+  meta.activeVersion = 1;
+  if (editedVersion) {
+    await fs.writeFile(path.join(dir, 'v2.system.txt'), editedVersion.system);
+    await fs.writeFile(path.join(dir, 'v2.user.txt'), editedVersion.user);
+    meta.versions.push({ version: 2, author: 'ana', note: 'Editado', createdAt: new Date().toISOString() });
+    meta.activeVersion = 2;
+  }
+  await fs.writeJson(path.join(dir, 'template.json'), meta);
+}
+
+test.before(async () => {
+  await installSeededBeforeV2('section-bug');
+  await installSeededBeforeV2('section-performance', { system: 'Sistema editado', user: 'Itens: {CONTENT}' });
+});
+
+test.after(() => fs.remove(promptsDir));
+
+test('seeding copies the bundled templates missing from PROMPTS_DIR', async () => {
+  const bundled = (await fs.readdir(BUNDLED_PROMPTS_DIR)).sort();
+  const installed = (await listTemplates()).map(template => template.name);
+
+  assert.deepStrictEqual(installed, bundled);
+});
+
+test('seeding adds new bundled versions to installed templates and activates them', async () => {
+  const template = await getTemplate('section-bug');
+  const bundledV2 = await fs.readFile(path.join(BUNDLED_PROMPTS_DIR, 'section-bug', 'v2.system.txt'), 'utf8');
+
+  assert.strictEqual(template.versions.length, 2);
+  assert.strictEqual(template.activeVersion, 2);
+  assert.strictEqual(template.system, bundledV2);
+});
+
+test('seeding keeps an active version edited through the API', async () => {
+  const template = await getTemplate('section-performance');
+
+  assert.strictEqual(template.versions.length, 3);
+  assert.strictEqual(template.activeVersion, 2);
+  assert.strictEqual(template.system, 'Sistema editado');
+});
+
+test('the render preview of a section template includes the JSON output contract', async () => {
+  const response = await request(app)
+    .post('/api/prompts/section-bug/render')
+    .set('Authorization', AUTHORIZATION)
+    .send({ variables: { title: 'Release 1.0', content: 'Corrigido erro X' } });
+
+  assert.strictEqual(response.status, 200);
+  const [system, user] = response.body.messages;
+  assert.match(system.content, /Formato da resposta:/);
+  assert.match(system.content, /Use "bug", a não ser que/);
+  assert.match(user.content, /Corrigido erro X/);
+});
+
+test('the render preview of other templates is the template alone', async () => {
+  const response = await request(app)
+    .post('/api/prompts/image-caption/render')
+    .set('Authorization', AUTHORIZATION)
+    .send({ variables: { description: 'tela.png' } });
+
+  assert.strictEqual(response.status, 200);
+  assert.doesNotMatch(response.body.messages[0].content, /Formato da resposta:/);
+});
+
+test('/api/prompts requires the admin token', async () => {
+  const anonymous = await request(app).get('/api/prompts');
+  const wrongToken = await request(app).get('/api/prompts').set('Authorization', 'Bearer nope');
+
+  assert.strictEqual(anonymous.status, 401);
+  assert.strictEqual(wrongToken.status, 401);
+});
+
+test('bundled templates cannot be deleted', async () => {
+  const response = await request(app).delete('/api/prompts/section-funcionalidade').set('Authorization', AUTHORIZATION);
+
+  assert.strictEqual(response.status, 409);
+  assert.ok(await getTemplate('section-funcionalidade'));
+});
+
+test('templates created through the API can be deleted', async () => {
+  const created = await request(app)
+    .post('/api/prompts')
+    .set('Authorization', AUTHORIZATION)
+    .send({ name: 'section-custom', system: 'Sistema', user: 'Itens: {CONTENT}' });
+  assert.strictEqual(created.status, 201);
+
+  const deleted = await request(app).delete('/api/prompts/section-custom').set('Authorization', AUTHORIZATION);
+  assert.strictEqual(deleted.status, 200);
+  assert.strictEqual(await getTemplate('section-custom'), null);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phosdocs-retention-'));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.DOCUMENT_STORE_PATH = path.join(storageDir, 'data', 'documents.json');
+process.env.RETENTION_KEEP_VERSIONS = '2';
+delete process.env.RETENTION_ENABLED;
+
+const { RETENTION_ENABLED } = require('../config/retention');
+const { getStorage } = require('../services/storage');
+const { saveDocument, getDocument } = require('../services/documentStore');
+const { planCleanup, runCleanup } = require('../services/retentionService');
+
+const shared = { url: '/api/images/image-shared.png', filename: 'image-shared.png' };
+let documentId;
+
+test.before(async () => {
+  const storage = getStorage();
+  for (const filename of ['Release_v1.docx', 'Release_v2.docx', 'Release_v3.docx', 'image-old.png', 'image-shared.png']) {
+    await storage.put(filename, Buffer.from(filename));
+  }
+
+  const versions = [
+    { filename: 'Release_v1.docx', images: [{ url: '/api/images/image-old.png', filename: 'image-old.png' }, shared] },
+    { filename: 'Release_v2.docx', images: [] },
+    { filename: 'Release_v3.docx', images: [shared] }
+  ];
+  for (const version of versions) {
+    const document = await saveDocument({ documentId, title: 'Release', content: '[bug] Erro', ...version });
+    documentId = document.id;
+  }
+});
+
+test.after(() => fs.remove(storageDir));
+
+test('the background sweep is off unless enabled', () => {
+  assert.strictEqual(RETENTION_ENABLED, false);
+});
+
+test('a dry run reports pruned versions without changing anything', async () => {
+  const report = await runCleanup({ dryRun: true });
+
+  assert.deepStrictEqual(report.deletions.map(file => file.filename).sort(), ['Release_v1.docx', 'image-old.png']);
+  assert.strictEqual(report.totals.versionsToPrune, 1);
+  assert.strictEqual((await getDocument(documentId)).versions.length, 3);
+  assert.ok(await getStorage().exists('Release_v1.docx'));
+});
+
+test('cleanup removes pruned versions from the store with the files only they used', async () => {
+  const report = await runCleanup();
+
+  assert.strictEqual(report.prunedVersions, 1);
+  assert.deepStrictEqual((await getDocument(documentId)).versions.map(version => version.version), [2, 3]);
+
+  const storage = getStorage();
+  assert.strictEqual(await storage.exists('Release_v1.docx'), false);
+  assert.strictEqual(await storage.exists('image-old.png'), false);
+  assert.ok(await storage.exists('image-shared.png'));
+  assert.ok(await storage.exists('Release_v2.docx'));
+
+  // Nothing left to prune on the next pass
+  const next = await planCleanup();
+  assert.strictEqual(next.totals.versionsToPrune, 0);
+  assert.deepStrictEqual(next.deletions, []);
+});
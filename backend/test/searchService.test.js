@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phosdocs-search-'));
+process.env.DOCUMENT_STORE_PATH = path.join(storeDir, 'documents.json');
+
+const express = require('express');
+const request = require('supertest');
+const { saveDocument } = require('../services/documentStore');
+const { searchDocuments } = require('../services/searchService');
+const documentationRoutes = require('../routes/documentation');
+
+const app = express();
+app.use(express.json());
+app.use('/api/documentation', documentationRoutes);
+
+test.before(async () => {
+  await saveDocument({
+    title: 'Release <b>1.0</b>',
+    author: 'Ana',
+    description: '[bug] Corrigido <script>alert(1)</script>',
+    content: '[bug] Corrigido <script>alert(1)</script>',
+    sections: [
+      { type: 'bugfix', content: 'Corrigido <script>alert(1)</script>' },
+      { type: 'feature', content: 'Nova exportação' }
+    ],
+    filename: 'release.docx',
+    images: [],
+    source: 'test'
+  });
+});
+
+test.after(() => fs.remove(storeDir));
+
+test('free-text matches are highlighted and escaped', async () => {
+  const { results } = await searchDocuments({ q: 'corrigido' });
+
+  const item = results[0].matches.find(match => match.field === 'item');
+  assert.strictEqual(item.highlighted, '<mark>Corrigido</mark> &lt;script&gt;alert(1)&lt;/script&gt;');
+});
+
+test('type-only filters escape the matched items too', async () => {
+  const { results, query } = await searchDocuments({ type: 'bugfix' });
+
+  assert.deepStrictEqual(query.type, ['bugfix']);
+  assert.deepStrictEqual(results[0].matches.map(match => match.highlighted), [
+    'Corrigido &lt;script&gt;alert(1)&lt;/script&gt;'
+  ]);
+});
+
+test('GET /search answers 400 for unknown types and invalid dates', async () => {
+  const byType = await request(app).get('/api/documentation/search?type=bugfix,nope');
+  assert.strictEqual(byType.status, 400);
+  assert.match(byType.body.details, /Invalid section type: nope/);
+
+  const byDate = await request(app).get('/api/documentation/search?from=yesterday');
+  assert.strictEqual(byDate.status, 400);
+  assert.match(byDate.body.details, /Invalid date: yesterday/);
+});
+
+test('GET /search echoes the normalized query', async () => {
+  const response = await request(app).get('/api/documentation/search?q=exporta&type=feature');
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body.query, { q: 'exporta', type: ['feature'], author: null, from: null, to: null });
+  assert.strictEqual(response.body.pagination.total, 1);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyLine, findTypeByTag, resolveTag } = require('../services/sectionTypeRegistry');
+const { commitsToDescription } = require('../services/gitHistoryService');
+
+test('classifyLine uses the tag before any keyword', () => {
+  const { type, content } = classifyLine('[segurança] Tempo de sessão reduzido');
+
+  assert.strictEqual(type.id, 'security');
+  assert.strictEqual(content, 'Tempo de sessão reduzido');
+});
+
+test('classifyLine checks keywords in the baseline precedence', () => {
+  const cases = {
+    'Tempo de carregamento melhorado': 'enhancement',
+    'Redução do tempo de resposta': 'enhancement',
+    'Nova tela com carregamento rápido': 'feature',
+    'Corrigido erro de velocidade': 'bugfix',
+    'Carregamento mais rápido': 'performance',
+    'Vulnerabilidade no login': 'security',
+    'Problema conhecido na exportação': 'known_issue',
+    'Campo removido do formulário': 'deprecated',
+    'Manual do usuário': 'resource'
+  };
+
+  for (const [line, expected] of Object.entries(cases)) {
+    assert.strictEqual(classifyLine(line).type.id, expected, line);
+  }
+});
+
+test('classifyLine falls back to the default type', () => {
+  assert.strictEqual(classifyLine('Ajustes no painel').type.id, 'feature');
+});
+
+test('tags resolve by marker, id or alias', () => {
+  assert.strictEqual(findTypeByTag('Correção').id, 'bugfix');
+  assert.strictEqual(resolveTag('bugfix'), 'bug');
+  assert.strictEqual(resolveTag('enhancement'), 'enhancement');
+  assert.strictEqual(resolveTag('nope'), null);
+});
+
+test('conventional commits become tags of the registry', () => {
+  const { description, skipped } = commitsToDescription([
+    { hash: 'c3c3c3c3', subject: 'chore: bump' },
+    { hash: 'b2b2b2b2', subject: 'sec(auth): rotate tokens' },
+    { hash: 'a1a1a1a1', subject: 'feat(ui)!: new dashboard' }
+  ]);
+
+  assert.strictEqual(description, '[funcionalidade] ui: new dashboard (a1a1a1a)\n[segurança] auth: rotate tokens (b2b2b2b)');
+  assert.deepStrictEqual(skipped.map(commit => commit.reason), ['chore']);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phosdocs-storage-'));
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+process.env.DOCUMENT_STORE_PATH = path.join(storageDir, 'data', 'documents.json');
+
+const express = require('express');
+const request = require('supertest');
+const { getStorage } = require('../services/storage');
+const documentationRoutes = require('../routes/documentation');
+const imageRoutes = require('../routes/images');
+const fileRoutes = require('../routes/files');
+
+const app = express();
+app.use(express.json());
+app.use('/api/documentation', documentationRoutes);
+app.use('/api/images', imageRoutes);
+app.use('/api/files', fileRoutes);
+
+test.before(async () => {
+  const storage = getStorage();
+  await storage.put('image-1.png', Buffer.from('png'));
+  await storage.put('Release_1.docx', Buffer.from('docx'));
+});
+
+test.after(() => fs.remove(storageDir));
+
+test('local image URLs are served through /api/images', async () => {
+  const url = getStorage().getUrl('image-1.png');
+  assert.strictEqual(url, '/api/images/image-1.png');
+
+  const response = await request(app).get(url);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers['content-type'], 'image/png');
+});
+
+test('/api/images does not serve generated documents', async () => {
+  const response = await request(app).get('/api/images/Release_1.docx');
+
+  assert.strictEqual(response.status, 404);
+});
+
+test('signed document URLs are served only with a valid signature', async () => {
+  const response = await request(app).get('/api/documentation/download/Release_1.docx/url?expiresIn=60');
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.expiresIn, 60);
+
+  const file = await request(app).get(response.body.url);
+  assert.strictEqual(file.status, 200);
+
+  const tampered = await request(app).get(response.body.url.replace(/signature=[0-9a-f]+/, `signature=${'0'.repeat(64)}`));
+  assert.strictEqual(tampered.status, 403);
+});
+
+test('expiresIn outside 1 second to 7 days answers 400', async () => {
+  for (const expiresIn of ['-5', '0', '604801', 'abc', '1.5']) {
+    const response = await request(app).get(`/api/documentation/download/Release_1.docx/url?expiresIn=${expiresIn}`);
+    assert.strictEqual(response.status, 400, `expiresIn=${expiresIn}`);
+  }
+
+  const longest = await request(app).get('/api/documentation/download/Release_1.docx/url?expiresIn=604800');
+  assert.strictEqual(longest.status, 200);
+});
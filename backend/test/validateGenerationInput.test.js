@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phosdocs-generate-'));
+process.env.LOCAL_STORAGE_DIR = path.join(dataDir, 'uploads');
+process.env.DOCUMENT_STORE_PATH = path.join(dataDir, 'documents.json');
+
+const express = require('express');
+const request = require('supertest');
+const documentationRoutes = require('../routes/documentation');
+
+const app = express();
+app.use(express.json());
+app.use('/api/documentation', documentationRoutes);
+
+const ROUTES = ['/api/documentation/generate', '/api/documentation/generate/stream'];
+
+test.after(() => fs.remove(dataDir));
+
+test('both generation routes require a title and a description or git history', async () => {
+  for (const route of ROUTES) {
+    const response = await request(app).post(route).send({ description: '[bug] Erro' });
+
+    assert.strictEqual(response.status, 400, route);
+    assert.strictEqual(response.body.error, 'Title and description (or git history) are required');
+  }
+});
+
+test('both generation routes answer 404 for an unknown documentId', async () => {
+  for (const route of ROUTES) {
+    const response = await request(app).post(route).send({ title: 'Release', description: '[bug] Erro', documentId: 'missing' });
+
+    assert.strictEqual(response.status, 404, route);
+  }
+});
+
+test('both generation routes reject git history without release commits', async () => {
+  for (const route of ROUTES) {
+    const response = await request(app).post(route).send({ title: 'Release', git: { log: 'a1b2c3d chore: bump' } });
+
+    assert.strictEqual(response.status, 400, route);
+    assert.strictEqual(response.body.error, 'Invalid git history');
+  }
+});
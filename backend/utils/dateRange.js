@@ -0,0 +1,44 @@
+/**
+ * Date filters shared by the report and search endpoints (?from= / ?to=)
+ */
+
+/**
+ * Parse a date filter; date-only end dates cover the whole day
+ * @param {string} value - Date string
+ * @param {boolean} endOfDay - Whether to move date-only values to the end of the day
+ * @returns {Date|null} Parsed date or null
+ * @throws {Error} With status 400 for values that are not dates
+ */
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    const error = new Error(`Invalid date: ${value}. Use ISO dates, e.g. from=2024-01-01&to=2024-01-31`);
+    error.status = 400;
+    throw error;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Check if a date falls within an optional range
+ * @param {string} value - ISO date
+ * @param {Date|null} from - Range start (inclusive)
+ * @param {Date|null} to - Range end (inclusive)
+ * @returns {boolean} Whether the date is in range
+ */
+function inDateRange(value, from, to) {
+  const date = new Date(value);
+  if (from && date < from) return false;
+  if (to && date > to) return false;
+  return true;
+}
+
+module.exports = {
+  parseDate,
+  inDateRange
+};
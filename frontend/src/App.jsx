@@ -1,12 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import DocumentForm from './components/Form/DocumentForm';
 import DocumentPreview from './components/Preview/DocumentPreview';
 import Notification from './components/UI/Notification';
 import Loading from './components/UI/Loading';
 import useForm from './hooks/useForm';
 import useNotification from './hooks/useNotification';
-import { validateDocumentForm } from './utils/helpers';
-import { uploadImages, generateDocumentation } from './services/api';
+import { validateDocumentForm, applyProgressEvent } from './utils/helpers';
+import { uploadImages, createGenerationJob, getJob, cancelJob, previewIssueImport } from './services/api';
 import './styles/index.css';
 import './styles/components.css';
 
@@ -16,6 +16,7 @@ const initialFormState = {
   images: [],
   imagePreviews: [],
   author: '',
+  language: 'pt-BR',
   logo: null,
   logoPreview: null
 };
@@ -24,6 +25,10 @@ function App() {
   const [step, setStep] = useState('form');
   const [loading, setLoading] = useState(false);
   const [doc, setDoc] = useState(null);
+  const [progressSteps, setProgressSteps] = useState([]);
+  const jobIdRef = useRef(null);
+  // Last generated document ({ id, title }); regenerating it with the same title adds a version
+  const [savedDocument, setSavedDocument] = useState(null);
   
   // Preview Word document states
   const [showPreview, setShowPreview] = useState(false);
@@ -67,6 +72,31 @@ function App() {
     };
   }, [previewUrl]);
 
+  // Import an issue-tracker export into the description for review
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const preview = await previewIssueImport(file);
+      if (!preview.description) {
+        showNotification('Nenhum item do arquivo corresponde a uma seção', 'warning');
+        return;
+      }
+
+      // Os itens importados são acrescentados ao que já foi digitado
+      setForm(current => ({
+        ...current,
+        description: [current.description.trim(), preview.description].filter(Boolean).join('\n')
+      }));
+      showNotification(`${preview.items.length} itens acrescentados à descrição, ${preview.skipped.length} ignorados. Revise a descrição antes de gerar.`);
+    } catch (error) {
+      console.error('Import error:', error);
+      showNotification(`Erro ao importar: ${error.message}`, 'error');
+    }
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -77,22 +107,19 @@ function App() {
     }
 
     setLoading(true);
+    setProgressSteps([]);
 
     try {
       // Upload images first
       let uploadedImages = [];
       if (form.images.length > 0) {
         showNotification('Fazendo upload das imagens...');
-        uploadedImages = await uploadImages(form.images);
+        uploadedImages = await uploadImages(form.images, form.title);
       }
 
-      // Generate documentation with retry logic
+      // Generate documentation as a background job
       showNotification('Gerando documentação... (pode levar alguns minutos)');
 
-      let documentation;
-      let retryCount = 0;
-      const maxRetries = 3;
-
       // Convert logo to base64 if present
       let logoBase64 = null;
       if (form.logo && (form.logo instanceof Blob || form.logo instanceof File)) {
@@ -103,43 +130,60 @@ function App() {
         });
       }
 
-      while (retryCount < maxRetries) {
+      const { jobId } = await createGenerationJob(
+        form.title,
+        form.description,
+        uploadedImages,
+        form.author,
+        logoBase64, // Passa sempre como base64
+        form.language,
+        savedDocument && savedDocument.title === form.title ? savedDocument.id : null
+      );
+      jobIdRef.current = jobId;
+
+      // Poll the job; a failed poll is retried without re-sending the request
+      let documentation;
+      let failedPolls = 0;
+      const maxFailedPolls = 5;
+
+      while (!documentation) {
+        await new Promise(resolve => setTimeout(resolve, 1500));
+
+        let job;
         try {
-          documentation = await generateDocumentation(
-            form.title,
-            form.description,
-            uploadedImages,
-            form.author,
-            logoBase64 // Passa sempre como base64
-          );
-          break; // Success, exit retry loop
+          job = await getJob(jobId);
+          failedPolls = 0;
         } catch (error) {
-          retryCount++;
-          console.error(`Tentativa ${retryCount} falhou:`, error.message);
-
-          if (error.message.includes('timeout')) {
-            if (retryCount < maxRetries) {
-              showNotification(`Timeout detectado. Tentativa ${retryCount + 1} de ${maxRetries}...`, 'warning');
-              // Wait before retrying
-              await new Promise(resolve => setTimeout(resolve, 2000));
-            } else {
-              throw new Error('Todas as tentativas falharam devido a timeout. Tente com uma descrição mais curta ou menos imagens.');
-            }
-          } else {
-            // Non-timeout error, don't retry
-            throw error;
+          failedPolls++;
+          console.error(`Consulta ${failedPolls} do job falhou:`, error.message);
+          if (failedPolls >= maxFailedPolls) {
+            throw new Error('Não foi possível consultar o andamento da geração. Tente novamente mais tarde.');
           }
+          continue;
+        }
+
+        setProgressSteps(job.events.reduce(applyProgressEvent, []));
+
+        if (job.status === 'completed') {
+          documentation = job.result;
+        } else if (job.status === 'failed') {
+          throw new Error(job.error?.details || job.error?.error || 'Falha na geração da documentação');
+        } else if (job.status === 'cancelled') {
+          throw new Error('Geração cancelada');
         }
       }
 
       // Process the documentation data
       const docData = documentation.documentation;
+      setSavedDocument({ id: documentation.id, title: form.title });
 
       setDoc({
         title: docData.title,
         intro: docData.content,
         sections: docData.sections || [],
         conclusion: docData.conclusion,
+        coverage: docData.coverage,
+        version: documentation.version,
         author: form.author,
         date: new Date().toLocaleDateString()
       });
@@ -156,14 +200,34 @@ function App() {
       console.error('Error:', error);
       showNotification(`Erro: ${error.message}`, 'error');
     } finally {
+      jobIdRef.current = null;
       setLoading(false);
     }
   };
 
+  // Cancel the running generation job
+  const handleCancel = async () => {
+    if (!jobIdRef.current) return;
+
+    try {
+      await cancelJob(jobIdRef.current);
+      showNotification('Cancelando geração...', 'warning');
+    } catch (error) {
+      console.error('Cancel error:', error);
+      showNotification(`Erro ao cancelar: ${error.message}`, 'error');
+    }
+  };
+
   return (
     <div className="app-container">
       <div className="main-card">
-        {loading && <Loading message="Processando sua solicitação..." />}
+        {loading && (
+          <Loading
+            message="Processando sua solicitação..."
+            steps={progressSteps}
+            onCancel={handleCancel}
+          />
+        )}
         
         {!loading && step === 'form' && (
           <DocumentForm
@@ -174,6 +238,7 @@ function App() {
             handleLogoChange={handleLogoChange}
             handleRemoveImage={handleRemoveImage}
             handleRemoveLogo={handleRemoveLogo}
+            handleImport={handleImport}
             handleSubmit={handleSubmit}
             loading={loading}
           />
@@ -8,6 +8,7 @@ const DocumentForm = ({
   handleLogoChange,
   handleRemoveImage,
   handleRemoveLogo,
+  handleImport,
   handleSubmit,
   loading
 }) => {
@@ -44,6 +45,17 @@ const DocumentForm = ({
           placeholder={process.env.REACT_APP_CHANGE_DESCRIPTION}
         ></textarea>
         {errors.description && <div className="error-message">{errors.description}</div>}
+        <label htmlFor="import" className="import-label">
+          <i className="fas fa-file-import"></i> Importar do Jira (CSV) ou GitHub (JSON)
+        </label>
+        <input
+          type="file"
+          id="import"
+          name="import"
+          onChange={handleImport}
+          accept=".csv,.json,text/csv,application/json"
+          className="file-input"
+        />
       </div>
 
       <div className="form-group">
@@ -60,6 +72,20 @@ const DocumentForm = ({
         {errors.author && <div className="error-message">{errors.author}</div>}
       </div>
 
+      <div className="form-group">
+        <label htmlFor="language"><i className="fas fa-language"></i> Idioma do Documento</label>
+        <select
+          id="language"
+          name="language"
+          value={form.language}
+          onChange={handleChange}
+        >
+          <option value="pt-BR">Português (Brasil)</option>
+          <option value="en-US">English (United States)</option>
+          <option value="es-ES">Español (España)</option>
+        </select>
+      </div>
+
       <div className="form-group">
         <label htmlFor="logo"><i className="fas fa-building"></i> Logo da Empresa (opcional)</label>
         <input
@@ -0,0 +1,88 @@
+import React from 'react';
+
+const CoverageReport = ({ coverage }) => {
+  if (!coverage) return null;
+
+  const { summary, inputs, generated } = coverage;
+  const dropped = inputs.filter(input => input.status === 'dropped');
+  const unmatched = generated.filter(item => item.status === 'unmatched');
+  const fallback = inputs.filter(input => input.status === 'fallback');
+  const hasIssues = dropped.length > 0 || unmatched.length > 0 || fallback.length > 0;
+
+  return (
+    <div className={`coverage-report ${hasIssues ? 'has-issues' : 'ok'}`}>
+      <h3>
+        <i className={hasIssues ? 'fas fa-exclamation-triangle' : 'fas fa-check-circle'}></i> Cobertura
+      </h3>
+      <p className="coverage-summary">
+        {summary.covered} de {summary.inputItems} itens da descrição aparecem no documento
+        {' · '}{summary.generatedItems} itens gerados
+      </p>
+      {summary.matchBy === 'provenance' && (
+        <p className="coverage-note">
+          Documento em outro idioma: cada item gerado é associado ao item da descrição de onde foi processado, sem comparar os textos.
+        </p>
+      )}
+
+      {fallback.length > 0 && (
+        <div className="coverage-group">
+          <h4>Itens copiados da descrição sem revisão (o modelo falhou)</h4>
+          <ul>
+            {fallback.map(input => (
+              <li key={input.index}><span className="coverage-type">[{input.type}]</span> {input.text}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {dropped.length > 0 && (
+        <div className="coverage-group">
+          <h4>Itens da descrição sem correspondente no documento</h4>
+          <ul>
+            {dropped.map(input => (
+              <li key={input.index}><span className="coverage-type">[{input.type}]</span> {input.text}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {unmatched.length > 0 && (
+        <div className="coverage-group">
+          <h4>Itens gerados sem origem na descrição</h4>
+          <ul>
+            {unmatched.map(item => (
+              <li key={item.index}><span className="coverage-type">[{item.type}]</span> {item.text}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <details className="coverage-details">
+        <summary>Ver mapeamento completo</summary>
+        <table>
+          <thead>
+            <tr>
+              <th>Item da descrição</th>
+              <th>Itens gerados</th>
+            </tr>
+          </thead>
+          <tbody>
+            {inputs.map(input => (
+              <tr key={input.index} className={input.status}>
+                <td><span className="coverage-type">[{input.type}]</span> {input.text}</td>
+                <td>
+                  {input.status === 'fallback' && <div><em>copiado sem revisão</em></div>}
+                  {input.generated.length > 0
+                    ? input.generated.map(index => <div key={index}>{generated[index].text}</div>)
+                    : <em>nenhum</em>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+    </div>
+  );
+};
+
+export default CoverageReport;
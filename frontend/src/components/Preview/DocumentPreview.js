@@ -1,10 +1,11 @@
 import React from 'react';
+import CoverageReport from './CoverageReport';
 
 const DocumentPreview = ({ doc, previewUrl, previewLoading, setStep }) => {
   return (
     <div className="document-preview">
       <div className="preview-header">
-        <h2>Documentação Gerada</h2>
+        <h2>Documentação Gerada{doc.version > 1 && ` (versão ${doc.version})`}</h2>
         <div className="preview-actions">
           <button onClick={() => setStep('form')} className="back-button">
             <i className="fas fa-arrow-left"></i> Voltar
@@ -31,6 +32,9 @@ const DocumentPreview = ({ doc, previewUrl, previewLoading, setStep }) => {
           </div>
         ) : (
           <>
+            {/* Itens da descrição perdidos ou inventados na geração */}
+            <CoverageReport coverage={doc.coverage} />
+
             {/* Visualização HTML do documento */}
             <div className="document-content">
               <h1>{doc.title}</h1>
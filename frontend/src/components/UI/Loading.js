@@ -1,12 +1,32 @@
 import React from 'react';
 
-const Loading = ({ message = 'Carregando...' }) => {
+const STATUS_ICONS = {
+  pending: 'far fa-circle',
+  running: 'fas fa-spinner fa-spin',
+  done: 'fas fa-check'
+};
+
+const Loading = ({ message = 'Carregando...', steps = [], onCancel }) => {
   return (
     <div className="loading-container">
       <div className="spinner"></div>
       <p>{message}</p>
+      {steps.length > 0 && (
+        <ul className="progress-steps">
+          {steps.map(step => (
+            <li key={step.key} className={`progress-step ${step.status}`}>
+              <i className={STATUS_ICONS[step.status]}></i> {step.label}
+            </li>
+          ))}
+        </ul>
+      )}
+      {onCancel && (
+        <button type="button" onClick={onCancel} className="cancel-button">
+          <i className="fas fa-times"></i> Cancelar
+        </button>
+      )}
     </div>
   );
 };
 
-export default Loading;
\ No newline at end of file
+export default Loading;
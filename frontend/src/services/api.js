@@ -1,15 +1,19 @@
 const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:5000/api';
 
 // Upload images to backend
-export const uploadImages = async (files) => {
+export const uploadImages = async (files, title) => {
   const uploadedImages = [];
 
   for (const file of files) {
     const formData = new FormData();
     formData.append('image', file);
+    if (title) {
+      formData.append('title', title);
+    }
 
     try {
-      const response = await fetch(`${API_BASE_URL}/images/upload`, {
+      // Generation captions the images with the document context; skip the upload caption
+      const response = await fetch(`${API_BASE_URL}/images/upload?caption=false`, {
         method: 'POST',
         body: formData
       });
@@ -18,11 +22,12 @@ export const uploadImages = async (files) => {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      const result = await response.json();
+      const { image } = await response.json();
       uploadedImages.push({
-        url: `http://localhost:5000${result.url}`,
-        caption: result.caption,
-        filename: result.filename
+        url: `http://localhost:5000${image.url}`,
+        caption: image.caption,
+        filename: image.filename,
+        originalname: image.originalname
       });
     } catch (error) {
       console.error('Image upload error:', error);
@@ -33,53 +38,100 @@ export const uploadImages = async (files) => {
   return uploadedImages;
 };
 
-// Generate documentation using backend API
-export const generateDocumentation = async (title, description, images, author, logo) => {
-  try {
-    let logoData = null;
-    if (logo) {
-      if (logo instanceof Blob || logo instanceof File) {
-        logoData = {
-          filename: logo.name,
-          base64: await new Promise(resolve => {
-            const reader = new FileReader();
-            reader.readAsDataURL(logo);
-            reader.onloadend = () => resolve(reader.result);
-          })
-        };
-      } else if (typeof logo === 'string' && logo.startsWith('data:image')) {
-        logoData = {
-          filename: 'logo.png',
-          base64: logo
-        };
-      }
-    }
-    
-    const response = await fetch(`${API_BASE_URL}/documentation/generate`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        title,
-        description,
-        images,
-        author,
-        logo: logoData
+// Convert the logo (File/Blob or base64 string) to the payload expected by the API
+const toLogoData = async (logo) => {
+  if (!logo) {
+    return null;
+  }
+  if (logo instanceof Blob || logo instanceof File) {
+    return {
+      filename: logo.name,
+      base64: await new Promise(resolve => {
+        const reader = new FileReader();
+        reader.readAsDataURL(logo);
+        reader.onloadend = () => resolve(reader.result);
       })
-    });
+    };
+  }
+  if (typeof logo === 'string' && logo.startsWith('data:image')) {
+    return {
+      filename: 'logo.png',
+      base64: logo
+    };
+  }
+  return null;
+};
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('API Error:', errorText);
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
+// Queue a generation job; resolves with { jobId, status } right away
+// Pass documentId to store the result as a new version of that document
+export const createGenerationJob = async (title, description, images, author, logo, language, documentId) => {
+  const logoData = await toLogoData(logo);
+
+  const response = await fetch(`${API_BASE_URL}/documentation/generate?async=true`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      title,
+      description,
+      images,
+      author,
+      logo: logoData,
+      language,
+      documentId: documentId || undefined
+    })
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('API Error:', errorText);
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+};
+
+// Get status, progress events and result of a generation job
+export const getJob = async (jobId) => {
+  const response = await fetch(`${API_BASE_URL}/jobs/${jobId}`);
 
-    // Retorna o resultado com os dados da documentação e o nome do arquivo
-    const result = await response.json();
-    return result;
-  } catch (error) {
-    console.error('Documentation generation error:', error);
-    throw error;
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
   }
-};
\ No newline at end of file
+
+  const result = await response.json();
+  return result.job;
+};
+
+// Cancel a generation job
+export const cancelJob = async (jobId) => {
+  const response = await fetch(`${API_BASE_URL}/jobs/${jobId}`, {
+    method: 'DELETE'
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const result = await response.json();
+  return result.job;
+};
+
+// Turn a Jira CSV or GitHub issues JSON export into a tagged description (preview only)
+export const previewIssueImport = async (file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+
+  const response = await fetch(`${API_BASE_URL}/import/preview`, {
+    method: 'POST',
+    body: formData
+  });
+
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new Error(result.details || result.error || `HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+};
@@ -24,3 +24,46 @@ export const validateDocumentForm = (form) => {
 
   return errors;
 };
+
+// Helper function to fold a streamed progress event into the list of steps
+export const applyProgressEvent = (steps, event) => {
+  const upsert = (key, label, status) => {
+    const exists = steps.some(step => step.key === key);
+    return exists
+      ? steps.map(step => (step.key === key ? { ...step, status } : step))
+      : [...steps, { key, label, status }];
+  };
+  const stepStatus = event.status === 'done' ? 'done' : 'running';
+
+  switch (event.stage) {
+    case 'images':
+      return upsert('images', `Upload das imagens (${event.total})`, stepStatus);
+    case 'caption':
+      return upsert(`caption-${event.filename}`, `Legenda da imagem ${event.index + 1}`, stepStatus);
+    case 'sections':
+      if (event.status === 'start') {
+        // Show every section up front as pending
+        return event.sections.reduce(
+          (acc, section) => (acc.some(step => step.key === `section-${section.index}`)
+            ? acc
+            : [...acc, {
+              key: `section-${section.index}`,
+              label: `Seção ${section.index + 1} de ${event.total}: ${section.label || section.type}`,
+              status: 'pending'
+            }]),
+          steps
+        );
+      }
+      return steps;
+    case 'section':
+      return upsert(
+        `section-${event.index}`,
+        `Seção ${event.index + 1} de ${event.total}: ${event.label || event.type}`,
+        stepStatus
+      );
+    case 'word':
+      return upsert('word', 'Montagem do documento Word', stepStatus);
+    default:
+      return steps;
+  }
+};